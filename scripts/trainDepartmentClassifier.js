@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Rebuild department classifier model from stored training history.
+ * Usage: npm run train:departments [-- path/to/history.jsonl]
+ */
+
+const departmentClassifier = require('../src/services/departmentClassifier')
+const ticketConfig = require('../src/config/ticketConfig')
+
+if (process.argv[2]) {
+  departmentClassifier.historyPath = process.argv[2]
+}
+
+const history = departmentClassifier.loadHistory()
+const knownDepartments = new Set(ticketConfig.departments.map(department => department.id))
+const examples = history.filter(example => example.text && knownDepartments.has(example.department))
+const skipped = history.length - examples.length
+
+if (examples.length === 0) {
+  console.log(`No training examples in ${departmentClassifier.historyPath}`)
+  process.exit(1)
+}
+
+departmentClassifier.train(examples)
+departmentClassifier.saveModel()
+
+const counts = {}
+for (const { department } of examples) {
+  counts[department] = (counts[department] || 0) + 1
+}
+
+console.log(`Trained on ${examples.length} examples from ${departmentClassifier.historyPath}` +
+  (skipped > 0 ? ` (${skipped} skipped: empty text or unknown department)` : ''))
+for (const [department, count] of Object.entries(counts)) {
+  console.log(`  ${department}: ${count}`)
+}
+console.log(`Vocabulary: ${departmentClassifier.model.vocabularySize} features`)
+console.log(`Model saved to ${departmentClassifier.modelPath}`)
+
+if (!departmentClassifier.isTrained()) {
+  console.log(`Model is not used yet: needs at least ${departmentClassifier.minExamples} examples of two or more departments`)
+  process.exit(0)
+}
+
+const correct = examples.filter(({ text, department }) => departmentClassifier.predict(text)?.department === department).length
+console.log(`Training accuracy: ${(correct / examples.length * 100).toFixed(1)}%`)
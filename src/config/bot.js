@@ -12,7 +12,10 @@ const bot = new TelegramBot(token, { polling: true })
 const botConfig = {
   maxMessageLength: 4096,
   chatGptTimeout: 30000,
-  maxRetries: 3
+  maxRetries: 3,
+  // Unconfirmed ticket drafts lifetime and reminder time before expiry
+  draftTtlMinutes: parseInt(process.env.DRAFT_TTL_MINUTES) || 60,
+  draftReminderMinutes: parseInt(process.env.DRAFT_REMINDER_MINUTES) || 10
 }
 
 module.exports = { bot, botConfig }
@@ -0,0 +1,133 @@
+// English base bot messages (the Ukrainian ones are data/messages.js), missing keys fall back to Ukrainian.
+// data/messages.en.js may override any of them for a deployment
+
+const messages = {
+  auth: {
+    welcome: (firstname, lastname, email) => `👋 Welcome, ${firstname} ${lastname}!
+
+📧 ${email}
+
+Send a voice message describing your problem and I will prepare a Service Desk ticket.`,
+    userNotFound: (telegramId) => `⚠️ No Service Desk user is linked to your Telegram ID ${telegramId}.`,
+    debugModeWarning: (message) => `⚠️ ${message}
+
+The bot runs in debug mode, you can keep using it.`,
+    accessDenied: (message) => `⛔ ${message}
+
+Access to the bot is denied. Please contact your administrator.`,
+    serviceError: '❌ The authorization service is unavailable. Please try again later.'
+  },
+
+  bot: {
+    ready: (name) => `🤖 ${name} is ready!
+
+Send a voice message describing your problem to create a Service Desk ticket.
+/help shows all commands.`,
+    helpHeader: (firstname, lastname, email) => `👤 ${firstname} ${lastname} (${email})
+
+`,
+    helpMessage: (mode) => `🤖 Service Desk bot
+
+Send a voice message describing your problem. I will recognize it, prepare a ticket and show it for confirmation before sending it to Service Desk.
+
+Commands:
+/start - Start the bot
+/help - Show this help
+/new - Create a ticket from a template
+/drafts - Unconfirmed ticket drafts
+/mytickets - Your Service Desk tickets
+/language - Choose the interface language
+/clear - Clear the history
+/health - Check the services
+
+Mode: ${mode}`,
+    healthStatus: (speechToText, textProcessing, chatgpt, allOnline) => `🏥 Service status
+
+🎤 Speech recognition: ${speechToText ? '✅ online' : '❌ offline'}
+🧠 Text processing: ${textProcessing ? '✅ online' : '❌ offline'}
+💬 ChatGPT: ${chatgpt ? '✅ configured' : '⚪ not configured'}
+
+${allOnline ? '✅ All services are working.' : '⚠️ Some services are unavailable.'}`,
+    statsMessage: (totalSessions, activeSessions, uptime) => `📊 Statistics
+
+👥 Sessions: ${totalSessions}
+🟢 Active: ${activeSessions}
+⏱ Uptime: ${uptime}`
+  },
+
+  errors: {
+    generalError: '❌ Something went wrong. Please try again.',
+    onlyVoiceAllowed: '🎤 Please send a voice message describing your problem.',
+    unsupportedMessage: '⚠️ This type of message is not supported. Please send a voice message.',
+    unknownCommand: '❓ Unknown command. /help shows the available commands.',
+    voiceProcessingError: '❌ Could not process the voice message. Please try again.',
+    textProcessingError: '❌ Could not process the text. Please try again.',
+    ticketNotFound: '⚠️ The ticket was not found or has already expired.',
+    ticketAlreadySent: '✅ This ticket has already been sent.',
+    ticketAlreadyCancelled: '🚫 This ticket has already been cancelled.',
+    ticketCreateError: '❌ Could not create the ticket. Please try again later.',
+    servicesUnavailable: '❌ The services are temporarily unavailable. Please try again later.',
+    healthCheckError: '❌ Could not check the service status.'
+  },
+
+  success: {
+    ticketCancelled: '🚫 The ticket has been cancelled.',
+    historyCleared: '🧹 The history has been cleared.'
+  },
+
+  processing: {
+    voiceProcessing: '🎤 Recognizing the voice message...',
+    recognizedText: (text) => `📝 Recognized text:
+
+${text}`,
+    localAIFallback: (error) => `⚠️ The local AI service is unavailable (${error}), using ChatGPT...`,
+    chatgptResponse: (response) => `💬 ${response}`
+  },
+
+  tickets: {
+    defaultTitle: 'Ticket from the Telegram bot',
+    preview: (ticket) => `📋 **Ticket preview**
+
+${ticket}
+
+Please check the ticket and confirm it:`,
+    updatedPreview: (ticket) => `✏️ **Updated ticket**
+
+${ticket}
+
+Please check the changes and confirm the ticket:`,
+    processing: '🔄 Updating the ticket...',
+    processingMessage: '🔄 Creating the ticket in Service Desk...',
+    created: (ticketId) => `✅ Ticket #${ticketId} has been created!
+
+Reply to this message to add a comment to the ticket.`,
+    creationError: '❌ Could not create the ticket in Service Desk. Please try again later.',
+    debugModeCreated: '✅ The ticket has been created (debug mode, it was not sent to Service Desk).',
+    debugModeError: (error) => `⚠️ Debug mode: the ticket was not created (${error}).`,
+    editOptions: '✏️ How do you want to edit the ticket?',
+    voiceEditInstruction: `🎤 **Voice editing**
+
+Send a voice or text message saying what to change, for example:
+• "change the title to printer on the 3rd floor"
+• "add to the description that the error appears every morning"`,
+    fieldEditInstructions: {
+      title: '📝 Enter the new title:',
+      description: '📄 Enter the new description:',
+      department: '🏢 Enter the department:'
+    },
+    buttons: {
+      confirm: '✅ Confirm',
+      cancel: '❌ Cancel',
+      edit: '✏️ Edit',
+      editAgain: '✏️ Edit again',
+      editFull: '📝 Edit fields',
+      editVoice: '🎤 Edit by voice',
+      editTitle: '📝 Title',
+      editDescription: '📄 Description',
+      save: '💾 Save',
+      back: '⬅️ Back'
+    }
+  }
+}
+
+module.exports = messages
@@ -0,0 +1,133 @@
+// Russian base bot messages (the Ukrainian ones are data/messages.js), missing keys fall back to Ukrainian.
+// data/messages.ru.js may override any of them for a deployment
+
+const messages = {
+  auth: {
+    welcome: (firstname, lastname, email) => `👋 Добро пожаловать, ${firstname} ${lastname}!
+
+📧 ${email}
+
+Отправьте голосовое сообщение с описанием проблемы, и я подготовлю заявку в Service Desk.`,
+    userNotFound: (telegramId) => `⚠️ С вашим Telegram ID ${telegramId} не связан ни один пользователь Service Desk.`,
+    debugModeWarning: (message) => `⚠️ ${message}
+
+Бот работает в режиме отладки, вы можете продолжать им пользоваться.`,
+    accessDenied: (message) => `⛔ ${message}
+
+Доступ к боту запрещён. Обратитесь к администратору.`,
+    serviceError: '❌ Сервис авторизации недоступен. Попробуйте позже.'
+  },
+
+  bot: {
+    ready: (name) => `🤖 ${name} готов к работе!
+
+Отправьте голосовое сообщение с описанием проблемы, чтобы создать заявку в Service Desk.
+/help показывает все команды.`,
+    helpHeader: (firstname, lastname, email) => `👤 ${firstname} ${lastname} (${email})
+
+`,
+    helpMessage: (mode) => `🤖 Бот Service Desk
+
+Отправьте голосовое сообщение с описанием проблемы. Я распознаю его, подготовлю заявку и покажу её для подтверждения перед отправкой в Service Desk.
+
+Команды:
+/start - Запустить бота
+/help - Показать эту справку
+/new - Создать заявку по шаблону
+/drafts - Неподтверждённые черновики заявок
+/mytickets - Ваши заявки в Service Desk
+/language - Выбрать язык интерфейса
+/clear - Очистить историю
+/health - Проверить сервисы
+
+Режим: ${mode}`,
+    healthStatus: (speechToText, textProcessing, chatgpt, allOnline) => `🏥 Состояние сервисов
+
+🎤 Распознавание речи: ${speechToText ? '✅ работает' : '❌ недоступно'}
+🧠 Обработка текста: ${textProcessing ? '✅ работает' : '❌ недоступна'}
+💬 ChatGPT: ${chatgpt ? '✅ настроен' : '⚪ не настроен'}
+
+${allOnline ? '✅ Все сервисы работают.' : '⚠️ Некоторые сервисы недоступны.'}`,
+    statsMessage: (totalSessions, activeSessions, uptime) => `📊 Статистика
+
+👥 Сессий: ${totalSessions}
+🟢 Активных: ${activeSessions}
+⏱ Время работы: ${uptime}`
+  },
+
+  errors: {
+    generalError: '❌ Что-то пошло не так. Попробуйте ещё раз.',
+    onlyVoiceAllowed: '🎤 Отправьте, пожалуйста, голосовое сообщение с описанием проблемы.',
+    unsupportedMessage: '⚠️ Такой тип сообщений не поддерживается. Отправьте голосовое сообщение.',
+    unknownCommand: '❓ Неизвестная команда. /help показывает доступные команды.',
+    voiceProcessingError: '❌ Не удалось обработать голосовое сообщение. Попробуйте ещё раз.',
+    textProcessingError: '❌ Не удалось обработать текст. Попробуйте ещё раз.',
+    ticketNotFound: '⚠️ Заявка не найдена или уже устарела.',
+    ticketAlreadySent: '✅ Эта заявка уже отправлена.',
+    ticketAlreadyCancelled: '🚫 Эта заявка уже отменена.',
+    ticketCreateError: '❌ Не удалось создать заявку. Попробуйте позже.',
+    servicesUnavailable: '❌ Сервисы временно недоступны. Попробуйте позже.',
+    healthCheckError: '❌ Не удалось проверить состояние сервисов.'
+  },
+
+  success: {
+    ticketCancelled: '🚫 Заявка отменена.',
+    historyCleared: '🧹 История очищена.'
+  },
+
+  processing: {
+    voiceProcessing: '🎤 Распознаю голосовое сообщение...',
+    recognizedText: (text) => `📝 Распознанный текст:
+
+${text}`,
+    localAIFallback: (error) => `⚠️ Локальный AI-сервис недоступен (${error}), использую ChatGPT...`,
+    chatgptResponse: (response) => `💬 ${response}`
+  },
+
+  tickets: {
+    defaultTitle: 'Заявка из Telegram-бота',
+    preview: (ticket) => `📋 **Предварительный просмотр заявки**
+
+${ticket}
+
+Проверьте заявку и подтвердите её:`,
+    updatedPreview: (ticket) => `✏️ **Обновлённая заявка**
+
+${ticket}
+
+Проверьте изменения и подтвердите заявку:`,
+    processing: '🔄 Обновляю заявку...',
+    processingMessage: '🔄 Создаю заявку в Service Desk...',
+    created: (ticketId) => `✅ Заявка #${ticketId} создана!
+
+Ответьте на это сообщение, чтобы добавить комментарий к заявке.`,
+    creationError: '❌ Не удалось создать заявку в Service Desk. Попробуйте позже.',
+    debugModeCreated: '✅ Заявка создана (режим отладки, в Service Desk она не отправлена).',
+    debugModeError: (error) => `⚠️ Режим отладки: заявка не создана (${error}).`,
+    editOptions: '✏️ Как вы хотите отредактировать заявку?',
+    voiceEditInstruction: `🎤 **Голосовое редактирование**
+
+Отправьте голосовое или текстовое сообщение о том, что изменить, например:
+• «измени заголовок на принтер на 3 этаже»
+• «добавь в описание, что ошибка появляется каждое утро»`,
+    fieldEditInstructions: {
+      title: '📝 Введите новый заголовок:',
+      description: '📄 Введите новое описание:',
+      department: '🏢 Введите отдел:'
+    },
+    buttons: {
+      confirm: '✅ Подтвердить',
+      cancel: '❌ Отменить',
+      edit: '✏️ Редактировать',
+      editAgain: '✏️ Редактировать ещё',
+      editFull: '📝 Редактировать поля',
+      editVoice: '🎤 Редактировать голосом',
+      editTitle: '📝 Заголовок',
+      editDescription: '📄 Описание',
+      save: '💾 Сохранить',
+      back: '⬅️ Назад'
+    }
+  }
+}
+
+module.exports = messages
@@ -0,0 +1,233 @@
+const fs = require('fs')
+const path = require('path')
+const logger = require('../utils/logger')
+require('dotenv').config()
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'ticketConfig.json')
+const RELOAD_DELAY = 500 // editors write files in several steps
+
+/**
+ * Departments, priorities and categories shared by ticketParser and ticketService.
+ * Loaded from TICKET_CONFIG_PATH (defaults to src/config/ticketConfig.json)
+ * and reloaded when the file changes (TICKET_CONFIG_WATCH=false disables it)
+ */
+class TicketConfig {
+  constructor() {
+    this.configPath = process.env.TICKET_CONFIG_PATH || DEFAULT_CONFIG_PATH
+    this.apply(this.load(this.configPath))
+    this.watcher = null
+    this.reloadTimer = null
+
+    if (process.env.TICKET_CONFIG_WATCH !== 'false') {
+      this.watch()
+    }
+  }
+
+  /**
+   * Watch config directory (editors often replace the file, which breaks watching the file itself)
+   */
+  watch() {
+    const fileName = path.basename(this.configPath)
+    try {
+      this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changedFile) => {
+        if (changedFile === fileName) {
+          this.scheduleReload()
+        }
+      })
+      this.watcher.unref()
+    } catch (error) {
+      logger.warn(`Ticket config watching is not available for ${this.configPath}: ${error.message}`)
+    }
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer)
+    this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY)
+    this.reloadTimer.unref()
+  }
+
+  /**
+   * Reload config from disk, keeping the current one if the new file is invalid
+   * @returns {boolean} - whether new config was applied
+   */
+  reload() {
+    try {
+      this.apply(this.load(this.configPath))
+      logger.info(`Ticket config reloaded from ${this.configPath}`)
+      return true
+    } catch (error) {
+      logger.error(`Ticket config reload failed, keeping previous config: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Read and validate config file
+   * @param {string} configPath - path to JSON config
+   * @returns {Object} - validated config
+   */
+  load(configPath) {
+    let config
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Failed to read ticket config ${configPath}: ${error.message}`)
+    }
+
+    const errors = this.validate(config)
+    if (errors.length > 0) {
+      throw new Error(`Invalid ticket config ${configPath}:\n- ${errors.join('\n- ')}`)
+    }
+
+    return config
+  }
+
+  /**
+   * Validate config structure
+   * @param {Object} config - parsed config
+   * @returns {Array<string>} - validation errors
+   */
+  validate(config) {
+    const errors = []
+
+    if (!config || typeof config !== 'object') {
+      return ['config must be an object']
+    }
+
+    const checkList = (listName, idField) => {
+      const list = config[listName]
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${listName} must be a non-empty array`)
+        return new Set()
+      }
+
+      const ids = new Set()
+      list.forEach((item, i) => {
+        const where = `${listName}[${i}]`
+        if (!item.id || typeof item.id !== 'string') {
+          errors.push(`${where}.id must be a non-empty string`)
+        } else if (item.id.includes('_')) {
+          // Inline button callback data carrying the id is split on "_"
+          errors.push(`${where}.id "${item.id}" must not contain "_"`)
+        } else if (ids.has(item.id)) {
+          errors.push(`${where}.id "${item.id}" is duplicated`)
+        } else {
+          ids.add(item.id)
+        }
+        if (!item.name || typeof item.name !== 'string') {
+          errors.push(`${where}.name must be a non-empty string`)
+        }
+        if (!item.emoji || typeof item.emoji !== 'string') {
+          errors.push(`${where}.emoji must be a non-empty string`)
+        }
+        if (idField && (!Number.isInteger(item[idField]) || item[idField] <= 0)) {
+          errors.push(`${where}.${idField} must be a positive integer`)
+        }
+        if (!Array.isArray(item.keywords) || item.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+          errors.push(`${where}.keywords must be an array of non-empty strings`)
+        }
+        if (item.aliases !== undefined && (!Array.isArray(item.aliases) || item.aliases.some(a => typeof a !== 'string'))) {
+          errors.push(`${where}.aliases must be an array of strings`)
+        }
+      })
+      return ids
+    }
+
+    const departmentIds = checkList('departments', 'groupId')
+    const priorityIds = checkList('priorities', 'priorityId')
+    const categoryIds = checkList('categories', null)
+
+    if (Array.isArray(config.categories)) {
+      config.categories.forEach((category, i) => {
+        if (!category.zammadValue || typeof category.zammadValue !== 'string') {
+          errors.push(`categories[${i}].zammadValue must be a non-empty string`)
+        }
+      })
+    }
+
+    if (!departmentIds.has(config.defaultDepartment)) {
+      errors.push(`defaultDepartment "${config.defaultDepartment}" is not defined in departments`)
+    }
+    if (!priorityIds.has(config.defaultPriority)) {
+      errors.push(`defaultPriority "${config.defaultPriority}" is not defined in priorities`)
+    }
+    if (!categoryIds.has(config.defaultCategory)) {
+      errors.push(`defaultCategory "${config.defaultCategory}" is not defined in categories`)
+    }
+
+    return errors
+  }
+
+  apply(config) {
+    this.departments = config.departments
+    this.priorities = config.priorities
+    this.defaultDepartment = config.defaultDepartment
+    this.defaultPriority = config.defaultPriority
+    this.categories = config.categories
+    this.defaultCategory = config.defaultCategory
+  }
+
+  /**
+   * Find department by id or display name (case-insensitive)
+   * @param {string} value - department id or name
+   * @returns {Object|null} - department config
+   */
+  getDepartment(value) {
+    const v = (value || '').toString().trim().toLowerCase()
+    return this.departments.find(d => d.id.toLowerCase() === v || d.name.toLowerCase() === v) || null
+  }
+
+  /**
+   * Find priority by id, name or alias (substring match as for user-entered values)
+   * @param {string} value - priority id, name or alias
+   * @returns {Object|null} - priority config
+   */
+  getPriority(value) {
+    const v = (value || '').toString().trim().toLowerCase()
+    if (!v) {
+      return null
+    }
+
+    const exact = this.priorities.find(p => p.id.toLowerCase() === v || p.name.toLowerCase() === v)
+    if (exact) {
+      return exact
+    }
+
+    return this.priorities.find(p => (p.aliases || []).some(alias => v.includes(alias.toLowerCase()))) || null
+  }
+
+  /**
+   * Find category by id, name, Zammad value or alias (substring match as for AI or user-entered values)
+   * @param {string} value - category id, name, Zammad value or alias
+   * @returns {Object|null} - category config
+   */
+  getCategory(value) {
+    const v = (value || '').toString().trim().toLowerCase()
+    if (!v) {
+      return null
+    }
+
+    const exact = this.categories.find(c =>
+      c.id.toLowerCase() === v || c.name.toLowerCase() === v || c.zammadValue.toLowerCase() === v
+    )
+    if (exact) {
+      return exact
+    }
+
+    return this.categories.find(c => (c.aliases || []).some(alias => v.includes(alias.toLowerCase()))) || null
+  }
+
+  getDefaultDepartment() {
+    return this.getDepartment(this.defaultDepartment)
+  }
+
+  getDefaultPriority() {
+    return this.getPriority(this.defaultPriority)
+  }
+
+  getDefaultCategory() {
+    return this.getCategory(this.defaultCategory)
+  }
+}
+
+module.exports = new TicketConfig()
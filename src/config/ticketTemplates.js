@@ -0,0 +1,99 @@
+const fs = require('fs')
+const path = require('path')
+const ticketConfig = require('./ticketConfig')
+require('dotenv').config()
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, 'ticketTemplates.json')
+const DETAILS_PLACEHOLDER = '{details}'
+
+/**
+ * Ticket templates for common requests offered by the /new command.
+ * Loaded from TICKET_TEMPLATES_PATH (defaults to src/config/ticketTemplates.json)
+ */
+class TicketTemplates {
+  constructor() {
+    this.templatesPath = process.env.TICKET_TEMPLATES_PATH || DEFAULT_TEMPLATES_PATH
+    this.templates = this.load(this.templatesPath)
+  }
+
+  /**
+   * Read and validate templates file
+   * @param {string} templatesPath - path to JSON file
+   * @returns {Array<Object>} - validated templates
+   */
+  load(templatesPath) {
+    let config
+    try {
+      config = JSON.parse(fs.readFileSync(templatesPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Failed to read ticket templates ${templatesPath}: ${error.message}`)
+    }
+
+    const errors = this.validate(config)
+    if (errors.length > 0) {
+      throw new Error(`Invalid ticket templates ${templatesPath}:\n- ${errors.join('\n- ')}`)
+    }
+
+    return config.templates
+  }
+
+  /**
+   * Validate templates against departments, priorities and categories from ticket config
+   * @param {Object} config - parsed templates file
+   * @returns {Array<string>} - validation errors
+   */
+  validate(config) {
+    const errors = []
+
+    if (!config || !Array.isArray(config.templates)) {
+      return ['templates must be an array']
+    }
+
+    const ids = new Set()
+    config.templates.forEach((template, i) => {
+      const where = `templates[${i}]`
+      if (!template.id || typeof template.id !== 'string') {
+        errors.push(`${where}.id must be a non-empty string`)
+      } else if (ids.has(template.id)) {
+        errors.push(`${where}.id "${template.id}" is duplicated`)
+      } else {
+        ids.add(template.id)
+      }
+      for (const field of ['name', 'title', 'description', 'prompt']) {
+        if (!template[field] || typeof template[field] !== 'string') {
+          errors.push(`${where}.${field} must be a non-empty string`)
+        }
+      }
+      if (!ticketConfig.getDepartment(template.department)) {
+        errors.push(`${where}.department "${template.department}" is not defined in ticket config`)
+      }
+      if (!ticketConfig.getPriority(template.priority)) {
+        errors.push(`${where}.priority "${template.priority}" is not defined in ticket config`)
+      }
+      if (!ticketConfig.getCategory(template.category)) {
+        errors.push(`${where}.category "${template.category}" is not defined in ticket config`)
+      }
+    })
+
+    return errors
+  }
+
+  getTemplate(id) {
+    return this.templates.find(template => template.id === id) || null
+  }
+
+  /**
+   * Fill description skeleton with details dictated by the user
+   * @param {Object} template - ticket template
+   * @param {string} details - user details
+   * @returns {string} - description
+   */
+  fillDescription(template, details) {
+    if (template.description.includes(DETAILS_PLACEHOLDER)) {
+      return template.description.split(DETAILS_PLACEHOLDER).join(details)
+    }
+    return `${template.description}\n${details}`
+  }
+}
+
+module.exports = new TicketTemplates()
@@ -0,0 +1,208 @@
+// English user interface messages, missing keys fall back to uiMessages.js
+
+const uiMessages = {
+  drafts: {
+    expiryReminder: (title, minutesLeft) => `⏳ **The ticket draft will be deleted soon**
+
+📝 ${title}
+
+The ticket has not been confirmed. The draft will be deleted automatically in ${minutesLeft} min.
+Confirm or cancel it:`,
+    expired: (title) => `🗑 **The ticket draft was deleted due to inactivity**
+
+📝 ${title}
+
+Send a new voice message to create the ticket again.`,
+    empty: '📭 You have no unconfirmed ticket drafts.',
+    listHeader: (count) => `📝 **Your ticket drafts (${count}):**`,
+    listItem: (index, title, age) => `${index}. ${title}\n   ⏰ ${age} ago`,
+    age: (minutes) => {
+      if (minutes < 60) return `${minutes} min`
+      const hours = Math.floor(minutes / 60)
+      if (hours < 24) return `${hours} h ${minutes % 60} min`
+      return `${Math.floor(hours / 24)} d`
+    },
+    buttons: {
+      show: (index) => `👁 ${index}. View`,
+      confirm: (index) => `✅ ${index}. Send`,
+      discard: (index) => `🗑 ${index}. Delete`
+    }
+  },
+
+  myTickets: {
+    empty: '📭 You have no Service Desk tickets yet.',
+    loadError: '❌ Could not load your tickets. Please try again later.',
+    header: (page, pages, total) => `🎫 Your tickets (${total}) — page ${page}/${pages}`,
+    item: (ticket, updated) => `#${ticket.number} ${ticket.title}
+   📊 Status: ${ticket.state}
+   👤 Assignee: ${ticket.owner}
+   🔄 Updated: ${updated}`,
+    buttons: {
+      prev: '⬅️ Back',
+      next: 'Next ➡️'
+    }
+  },
+
+  notifications: {
+    stateChanged: (number, title, state) => `🔔 Ticket #${number} "${title}"
+
+📊 New status: ${state}`,
+    newArticle: (number, title, body) => `💬 New reply to ticket #${number} "${title}"
+
+${body}`,
+    closed: (number, title) => `✅ Ticket #${number} "${title}" has been closed.
+
+If the problem persists, please create a new ticket.`
+  },
+
+  followUp: {
+    processing: '🔄 Adding a comment to the ticket...',
+    added: (ticketId) => `✅ Comment added to ticket #${ticketId}`,
+    error: (ticketId) => `❌ Could not add a comment to ticket #${ticketId}. Please try again later.`,
+    empty: '⚠️ The comment is empty. Send text or a voice message as a reply to the "ticket created" message.'
+  },
+
+  duplicates: {
+    warning: (label, percent) => `⚠️ **This looks like ${label}** (${percent}% match). You can add this description as a comment instead of creating a new ticket.`,
+    draftLabel: (title) => `the draft "${title}"`,
+    ticketLabel: (number) => `ticket #${number}`,
+    addAsComment: '➕ Add as a comment',
+    addedToDraft: (title) => `✅ The description was added to the draft "${title}".`,
+    targetGone: '⚠️ The similar ticket is no longer available. You can send this ticket as a new one.'
+  },
+
+  attachments: {
+    previewLine: (count) => `📎 **Attachments:** ${count}`,
+    added: (count, title) => `📎 File added to the draft "${title}". Attachments: ${count}.`,
+    noDraft: '⚠️ There is no ticket draft to attach the file to. Send a voice message describing the problem first.',
+    tooMany: (max) => `⚠️ A ticket can have at most ${max} files.`,
+    tooLarge: (maxMb) => `⚠️ The file is too large. The maximum size is ${maxMb} MB.`,
+    downloadError: (filenames) => `⚠️ Could not download these attachments, the ticket will be created without them: ${filenames.join(', ')}`
+  },
+
+  ticketFields: {
+    ticket: 'Ticket',
+    id: 'ID',
+    department: 'Department',
+    category: 'Category',
+    priority: 'Priority',
+    title: 'Title',
+    description: 'Description',
+    room: 'Room',
+    asset: 'Asset tag',
+    host: 'IP/host',
+    phone: 'Phone',
+    deadline: 'Due date',
+    language: 'Language',
+    created: 'Created',
+    status: 'Status',
+    additionalInfo: 'Additional information',
+    notSet: 'Not set',
+    departmentUnknown: 'not determined',
+    structured: 'STRUCTURED INFORMATION',
+    createdVia: 'Created via',
+    dateLocale: 'en-GB'
+  },
+
+  ticketLanguages: {
+    uk: 'Ukrainian',
+    ru: 'Russian',
+    en: 'English',
+    surzhyk: 'Surzhyk',
+    unknown: 'unknown'
+  },
+
+  fieldEditor: {
+    header: '📋 **Edit ticket fields**',
+    chooseField: '⬇️ **Choose the field to edit:**',
+    priorityLocked: '⚠️ **This field cannot be edited**\n\nThe priority is set automatically from the ticket content.',
+    enterValue: (field) => `✏️ Enter a new value for the field "${field}":`,
+    updated: (field) => `✅ Field "${field}" updated!`
+  },
+
+  validation: {
+    rejected: (reason) => `❌ **Ticket rejected**
+
+${reason}
+
+Please describe your problem in more detail.`,
+    warning: (reason) => `⚠️ ${reason}`
+  },
+
+  departments: {
+    choose: '💼 Could not determine the department reliably. Choose the department this ticket is for:',
+    unknown: '⚠️ Unknown department.'
+  },
+
+  categories: {
+    choose: '📂 Choose the ticket category:',
+    editButton: '📂 Change category',
+    unknown: '⚠️ Unknown category.'
+  },
+
+  details: {
+    buttons: {
+      room: '🚪 Room',
+      asset: '🏷 Asset tag',
+      host: '🖥 IP/host',
+      phone: '📞 Phone',
+      deadline: '⏳ Due date'
+    },
+    instructions: {
+      room: '🚪 Enter the room or office number (or "-" to clear the field):',
+      asset: '🏷 Enter the asset tag of the equipment (or "-" to clear the field):',
+      host: '🖥 Enter the IP address or computer name (or "-" to clear the field):',
+      phone: '📞 Enter a callback phone number (or "-" to clear the field):',
+      deadline: '⏳ Enter the due date, for example "tomorrow by 3pm", "by Friday" or "25.10 12:00" (or "-" to clear the field):'
+    },
+    invalidDeadline: '⚠️ Could not recognize the date. Try, for example, "tomorrow by 15:00" or "25.10.2026 12:00".'
+  },
+
+  keywords: {
+    adminOnly: '⛔ This command is available to administrators only.',
+    usage: 'Usage: /keywords <ticket text>\nShows which keywords are found in the text.',
+    header: '🔍 Keywords in the text:',
+    department: (id) => `💼 Department: ${id}`,
+    classification: (source, percent) => `  ${source === 'model' ? '🧠 Model' : '🔑 Keywords'}, confidence ${percent}%`,
+    priority: (id) => `⚡ Priority: ${id}`,
+    category: (id) => `📂 Category: ${id}`
+  },
+
+  templates: {
+    choose: '📝 Choose the ticket type:',
+    askDetails: (name, prompt) => `📝 **${name}**
+
+${prompt}
+
+Send a voice or text message with these details.`,
+    emptyDetails: '⚠️ The message is empty. Send the ticket details by voice or text.',
+    notFound: '⚠️ Template not found. Please use the /new command again.',
+    cancel: '❌ Cancel',
+    cancelled: '❌ Creating a ticket from the template was cancelled.'
+  },
+
+  confirmation: {
+    inProgress: '⏳ The ticket is already being sent, please wait...',
+    alreadyCreated: (ticketId) => `ℹ️ This ticket has already been created: #${ticketId}`,
+    alreadyQueued: 'ℹ️ This ticket is already queued for sending.'
+  },
+
+  language: {
+    choose: '🌐 Choose the interface language:',
+    changed: '✅ The interface language is now English.',
+    unknown: '⚠️ This language is not supported.'
+  },
+
+  outbox: {
+    queued: (title) => `📮 Service Desk is unavailable right now. The ticket "${title}" has been queued — the bot will send it automatically and tell you the ticket number.`,
+    delivered: (title) => `📬 The queued ticket "${title}" has been sent.`,
+    gaveUp: (title, description) => `❌ Could not create the ticket "${title}" — Service Desk has been unavailable for a long time.
+
+Please create the ticket again later or contact support another way.
+
+📄 Ticket text:
+${description}`
+  }
+}
+
+module.exports = uiMessages
@@ -0,0 +1,210 @@
+// User interface messages for ticket draft features (Ukrainian, the fallback for other languages)
+// Base bot messages live in data/messages.js (translations in messages.<language>.js), these in uiMessages.<language>.js
+
+const uiMessages = {
+  drafts: {
+    expiryReminder: (title, minutesLeft) => `⏳ **Чернетка заявки скоро буде видалена**
+
+📝 ${title}
+
+Заявку не підтверджено. Через ${minutesLeft} хв. чернетку буде автоматично видалено.
+Підтвердіть або скасуйте її:`,
+    expired: (title) => `🗑 **Чернетку заявки видалено через неактивність**
+
+📝 ${title}
+
+Надішліть нове голосове повідомлення, щоб створити заявку знову.`,
+    empty: '📭 У вас немає непідтверджених чернеток заявок.',
+    listHeader: (count) => `📝 **Ваші чернетки заявок (${count}):**`,
+    listItem: (index, title, age) => `${index}. ${title}\n   ⏰ ${age} тому`,
+    age: (minutes) => {
+      if (minutes < 60) return `${minutes} хв.`
+      const hours = Math.floor(minutes / 60)
+      if (hours < 24) return `${hours} год. ${minutes % 60} хв.`
+      return `${Math.floor(hours / 24)} дн.`
+    },
+    buttons: {
+      show: (index) => `👁 ${index}. Переглянути`,
+      confirm: (index) => `✅ ${index}. Надіслати`,
+      discard: (index) => `🗑 ${index}. Видалити`
+    }
+  },
+
+  myTickets: {
+    empty: '📭 У вас ще немає заявок у Service Desk.',
+    loadError: '❌ Не вдалося отримати список заявок. Спробуйте пізніше.',
+    header: (page, pages, total) => `🎫 Ваші заявки (${total}) — сторінка ${page}/${pages}`,
+    item: (ticket, updated) => `#${ticket.number} ${ticket.title}
+   📊 Статус: ${ticket.state}
+   👤 Виконавець: ${ticket.owner}
+   🔄 Оновлено: ${updated}`,
+    buttons: {
+      prev: '⬅️ Назад',
+      next: 'Далі ➡️'
+    }
+  },
+
+  notifications: {
+    stateChanged: (number, title, state) => `🔔 Заявка #${number} «${title}»
+
+📊 Новий статус: ${state}`,
+    newArticle: (number, title, body) => `💬 Нова відповідь по заявці #${number} «${title}»
+
+${body}`,
+    closed: (number, title) => `✅ Заявку #${number} «${title}» закрито.
+
+Якщо проблема залишилась, створіть нову заявку.`
+  },
+
+  followUp: {
+    processing: '🔄 Додаю коментар до заявки...',
+    added: (ticketId) => `✅ Коментар додано до заявки #${ticketId}`,
+    error: (ticketId) => `❌ Не вдалося додати коментар до заявки #${ticketId}. Спробуйте пізніше.`,
+    empty: '⚠️ Коментар порожній. Надішліть текст або голосове повідомлення у відповідь на повідомлення про створення заявки.'
+  },
+
+  duplicates: {
+    warning: (label, percent) => `⚠️ **Схоже на ${label}** (збіг ${percent}%). Можна додати цей опис як коментар замість нової заявки.`,
+    draftLabel: (title) => `чернетку «${title}»`,
+    ticketLabel: (number) => `заявку #${number}`,
+    addAsComment: '➕ Додати як коментар',
+    addedToDraft: (title) => `✅ Опис додано до чернетки «${title}».`,
+    targetGone: '⚠️ Схожа заявка вже недоступна. Ви можете надіслати цю заявку як нову.'
+  },
+
+  attachments: {
+    previewLine: (count) => `📎 **Вкладення:** ${count}`,
+    added: (count, title) => `📎 Файл додано до чернетки «${title}». Всього вкладень: ${count}.`,
+    noDraft: '⚠️ Немає чернетки заявки, до якої можна додати файл. Спочатку надішліть голосове повідомлення з описом проблеми.',
+    tooMany: (max) => `⚠️ До заявки можна додати не більше ${max} файлів.`,
+    tooLarge: (maxMb) => `⚠️ Файл завеликий. Максимальний розмір — ${maxMb} МБ.`,
+    downloadError: (filenames) => `⚠️ Не вдалося завантажити вкладення, заявку буде створено без них: ${filenames.join(', ')}`
+  },
+
+  ticketFields: {
+    ticket: 'Заявка',
+    id: 'ID',
+    department: 'Відділ',
+    category: 'Категорія',
+    priority: 'Пріоритет',
+    title: 'Заголовок',
+    description: 'Опис',
+    room: 'Кабінет',
+    asset: 'Інв. номер',
+    host: 'IP/хост',
+    phone: 'Телефон',
+    deadline: 'Термін виконання',
+    language: 'Мова',
+    created: 'Створено',
+    status: 'Статус',
+    additionalInfo: 'Додаткова інформація',
+    notSet: 'Не вказано',
+    departmentUnknown: 'не визначено',
+    structured: 'СТРУКТУРОВАНА ІНФОРМАЦІЯ',
+    createdVia: 'Створено через',
+    dateLocale: 'uk-UA'
+  },
+
+  ticketLanguages: {
+    uk: 'українська',
+    ru: 'російська',
+    en: 'англійська',
+    surzhyk: 'суржик',
+    unknown: 'не визначено'
+  },
+
+  fieldEditor: {
+    header: '📋 **Редагування заявки по полях**',
+    chooseField: '⬇️ **Оберіть поле для редагування:**',
+    priorityLocked: '⚠️ **Це поле не редагується**\n\nПріоритет визначається системою автоматично на основі змісту заявки.',
+    enterValue: (field) => `✏️ Введіть нове значення для поля "${field}":`,
+    updated: (field) => `✅ Поле "${field}" оновлено!`
+  },
+
+  validation: {
+    rejected: (reason) => `❌ **Заявку відхилено**
+
+${reason}
+
+Будь ласка, опишіть вашу проблему більш детально та конкретно.`,
+    warning: (reason) => `⚠️ ${reason}`
+  },
+
+  departments: {
+    choose: '💼 Не вдалося впевнено визначити відділ. Оберіть відділ, якому адресована заявка:',
+    unknown: '⚠️ Невідомий відділ.'
+  },
+
+  categories: {
+    choose: '📂 Оберіть категорію заявки:',
+    editButton: '📂 Змінити категорію',
+    unknown: '⚠️ Невідома категорія.'
+  },
+
+  details: {
+    buttons: {
+      room: '🚪 Кабінет',
+      asset: '🏷 Інв. номер',
+      host: '🖥 IP/хост',
+      phone: '📞 Телефон',
+      deadline: '⏳ Термін виконання'
+    },
+    instructions: {
+      room: '🚪 Введіть номер кабінету або офісу (або "-", щоб очистити поле):',
+      asset: '🏷 Введіть інвентарний номер обладнання (або "-", щоб очистити поле):',
+      host: '🖥 Введіть IP-адресу або ім\'я комп\'ютера (або "-", щоб очистити поле):',
+      phone: '📞 Введіть номер телефону для зворотного зв\'язку (або "-", щоб очистити поле):',
+      deadline: '⏳ Вкажіть термін виконання, наприклад "завтра до 15:00", "до п\'ятниці" або "25.10 12:00" (або "-", щоб очистити поле):'
+    },
+    invalidDeadline: '⚠️ Не вдалося розпізнати дату. Спробуйте, наприклад, "завтра до 15:00" або "25.10.2026 12:00".'
+  },
+
+  keywords: {
+    adminOnly: '⛔ Ця команда доступна лише адміністраторам.',
+    usage: 'Використання: /keywords <текст заявки>\nПокаже, які ключові слова знайдено у тексті.',
+    header: '🔍 Ключові слова у тексті:',
+    department: (id) => `💼 Відділ: ${id}`,
+    classification: (source, percent) => `  ${source === 'model' ? '🧠 Модель' : '🔑 Ключові слова'}, впевненість ${percent}%`,
+    priority: (id) => `⚡ Пріоритет: ${id}`,
+    category: (id) => `📂 Категорія: ${id}`,
+    entry: (id, keywords, score) => `  • ${id}${score !== undefined ? ` (${score})` : ''}: ${keywords.join(', ')}`
+  },
+
+  templates: {
+    choose: '📝 Оберіть тип заявки:',
+    askDetails: (name, prompt) => `📝 **${name}**
+
+${prompt}
+
+Надішліть голосове або текстове повідомлення з цими даними.`,
+    emptyDetails: '⚠️ Повідомлення порожнє. Надішліть дані для заявки голосом або текстом.',
+    notFound: '⚠️ Шаблон не знайдено. Скористайтеся командою /new ще раз.',
+    cancel: '❌ Скасувати',
+    cancelled: '❌ Створення заявки за шаблоном скасовано.'
+  },
+
+  confirmation: {
+    inProgress: '⏳ Заявка вже надсилається, зачекайте...',
+    alreadyCreated: (ticketId) => `ℹ️ Цю заявку вже створено: #${ticketId}`,
+    alreadyQueued: 'ℹ️ Цю заявку вже поставлено в чергу на відправку.'
+  },
+
+  language: {
+    choose: '🌐 Оберіть мову інтерфейсу:',
+    changed: '✅ Мову інтерфейсу змінено на українську.',
+    unknown: '⚠️ Ця мова не підтримується.'
+  },
+
+  outbox: {
+    queued: (title) => `📮 Service Desk зараз недоступний. Заявку «${title}» поставлено в чергу — бот автоматично надішле її та повідомить номер заявки.`,
+    delivered: (title) => `📬 Заявку «${title}» з черги успішно надіслано.`,
+    gaveUp: (title, description) => `❌ Не вдалося створити заявку «${title}» — Service Desk тривалий час недоступний.
+
+Будь ласка, створіть заявку ще раз пізніше або зверніться до служби підтримки іншим способом.
+
+📄 Текст заявки:
+${description}`
+  }
+}
+
+module.exports = uiMessages
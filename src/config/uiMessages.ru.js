@@ -0,0 +1,208 @@
+// Russian user interface messages, missing keys fall back to uiMessages.js
+
+const uiMessages = {
+  drafts: {
+    expiryReminder: (title, minutesLeft) => `⏳ **Черновик заявки скоро будет удалён**
+
+📝 ${title}
+
+Заявка не подтверждена. Через ${minutesLeft} мин. черновик будет автоматически удалён.
+Подтвердите или отмените её:`,
+    expired: (title) => `🗑 **Черновик заявки удалён из-за неактивности**
+
+📝 ${title}
+
+Отправьте новое голосовое сообщение, чтобы создать заявку снова.`,
+    empty: '📭 У вас нет неподтверждённых черновиков заявок.',
+    listHeader: (count) => `📝 **Ваши черновики заявок (${count}):**`,
+    listItem: (index, title, age) => `${index}. ${title}\n   ⏰ ${age} назад`,
+    age: (minutes) => {
+      if (minutes < 60) return `${minutes} мин.`
+      const hours = Math.floor(minutes / 60)
+      if (hours < 24) return `${hours} ч. ${minutes % 60} мин.`
+      return `${Math.floor(hours / 24)} дн.`
+    },
+    buttons: {
+      show: (index) => `👁 ${index}. Просмотреть`,
+      confirm: (index) => `✅ ${index}. Отправить`,
+      discard: (index) => `🗑 ${index}. Удалить`
+    }
+  },
+
+  myTickets: {
+    empty: '📭 У вас ещё нет заявок в Service Desk.',
+    loadError: '❌ Не удалось получить список заявок. Попробуйте позже.',
+    header: (page, pages, total) => `🎫 Ваши заявки (${total}) — страница ${page}/${pages}`,
+    item: (ticket, updated) => `#${ticket.number} ${ticket.title}
+   📊 Статус: ${ticket.state}
+   👤 Исполнитель: ${ticket.owner}
+   🔄 Обновлено: ${updated}`,
+    buttons: {
+      prev: '⬅️ Назад',
+      next: 'Далее ➡️'
+    }
+  },
+
+  notifications: {
+    stateChanged: (number, title, state) => `🔔 Заявка #${number} «${title}»
+
+📊 Новый статус: ${state}`,
+    newArticle: (number, title, body) => `💬 Новый ответ по заявке #${number} «${title}»
+
+${body}`,
+    closed: (number, title) => `✅ Заявка #${number} «${title}» закрыта.
+
+Если проблема осталась, создайте новую заявку.`
+  },
+
+  followUp: {
+    processing: '🔄 Добавляю комментарий к заявке...',
+    added: (ticketId) => `✅ Комментарий добавлен к заявке #${ticketId}`,
+    error: (ticketId) => `❌ Не удалось добавить комментарий к заявке #${ticketId}. Попробуйте позже.`,
+    empty: '⚠️ Комментарий пустой. Отправьте текст или голосовое сообщение в ответ на сообщение о создании заявки.'
+  },
+
+  duplicates: {
+    warning: (label, percent) => `⚠️ **Похоже на ${label}** (совпадение ${percent}%). Можно добавить это описание как комментарий вместо новой заявки.`,
+    draftLabel: (title) => `черновик «${title}»`,
+    ticketLabel: (number) => `заявку #${number}`,
+    addAsComment: '➕ Добавить как комментарий',
+    addedToDraft: (title) => `✅ Описание добавлено к черновику «${title}».`,
+    targetGone: '⚠️ Похожая заявка уже недоступна. Вы можете отправить эту заявку как новую.'
+  },
+
+  attachments: {
+    previewLine: (count) => `📎 **Вложения:** ${count}`,
+    added: (count, title) => `📎 Файл добавлен к черновику «${title}». Всего вложений: ${count}.`,
+    noDraft: '⚠️ Нет черновика заявки, к которому можно добавить файл. Сначала отправьте голосовое сообщение с описанием проблемы.',
+    tooMany: (max) => `⚠️ К заявке можно добавить не более ${max} файлов.`,
+    tooLarge: (maxMb) => `⚠️ Файл слишком большой. Максимальный размер — ${maxMb} МБ.`,
+    downloadError: (filenames) => `⚠️ Не удалось загрузить вложения, заявка будет создана без них: ${filenames.join(', ')}`
+  },
+
+  ticketFields: {
+    ticket: 'Заявка',
+    id: 'ID',
+    department: 'Отдел',
+    category: 'Категория',
+    priority: 'Приоритет',
+    title: 'Заголовок',
+    description: 'Описание',
+    room: 'Кабинет',
+    asset: 'Инв. номер',
+    host: 'IP/хост',
+    phone: 'Телефон',
+    deadline: 'Срок выполнения',
+    language: 'Язык',
+    created: 'Создано',
+    status: 'Статус',
+    additionalInfo: 'Дополнительная информация',
+    notSet: 'Не указано',
+    departmentUnknown: 'не определён',
+    structured: 'СТРУКТУРИРОВАННАЯ ИНФОРМАЦИЯ',
+    createdVia: 'Создано через',
+    dateLocale: 'ru-RU'
+  },
+
+  ticketLanguages: {
+    uk: 'украинский',
+    ru: 'русский',
+    en: 'английский',
+    surzhyk: 'суржик',
+    unknown: 'не определён'
+  },
+
+  fieldEditor: {
+    header: '📋 **Редактирование заявки по полям**',
+    chooseField: '⬇️ **Выберите поле для редактирования:**',
+    priorityLocked: '⚠️ **Это поле не редактируется**\n\nПриоритет определяется системой автоматически по содержанию заявки.',
+    enterValue: (field) => `✏️ Введите новое значение для поля "${field}":`,
+    updated: (field) => `✅ Поле "${field}" обновлено!`
+  },
+
+  validation: {
+    rejected: (reason) => `❌ **Заявка отклонена**
+
+${reason}
+
+Пожалуйста, опишите вашу проблему более подробно и конкретно.`,
+    warning: (reason) => `⚠️ ${reason}`
+  },
+
+  departments: {
+    choose: '💼 Не удалось уверенно определить отдел. Выберите отдел, которому адресована заявка:',
+    unknown: '⚠️ Неизвестный отдел.'
+  },
+
+  categories: {
+    choose: '📂 Выберите категорию заявки:',
+    editButton: '📂 Изменить категорию',
+    unknown: '⚠️ Неизвестная категория.'
+  },
+
+  details: {
+    buttons: {
+      room: '🚪 Кабинет',
+      asset: '🏷 Инв. номер',
+      host: '🖥 IP/хост',
+      phone: '📞 Телефон',
+      deadline: '⏳ Срок выполнения'
+    },
+    instructions: {
+      room: '🚪 Введите номер кабинета или офиса (или "-", чтобы очистить поле):',
+      asset: '🏷 Введите инвентарный номер оборудования (или "-", чтобы очистить поле):',
+      host: '🖥 Введите IP-адрес или имя компьютера (или "-", чтобы очистить поле):',
+      phone: '📞 Введите номер телефона для обратной связи (или "-", чтобы очистить поле):',
+      deadline: '⏳ Укажите срок выполнения, например "завтра до 15:00", "до пятницы" или "25.10 12:00" (или "-", чтобы очистить поле):'
+    },
+    invalidDeadline: '⚠️ Не удалось распознать дату. Попробуйте, например, "завтра до 15:00" или "25.10.2026 12:00".'
+  },
+
+  keywords: {
+    adminOnly: '⛔ Эта команда доступна только администраторам.',
+    usage: 'Использование: /keywords <текст заявки>\nПокажет, какие ключевые слова найдены в тексте.',
+    header: '🔍 Ключевые слова в тексте:',
+    department: (id) => `💼 Отдел: ${id}`,
+    classification: (source, percent) => `  ${source === 'model' ? '🧠 Модель' : '🔑 Ключевые слова'}, уверенность ${percent}%`,
+    priority: (id) => `⚡ Приоритет: ${id}`,
+    category: (id) => `📂 Категория: ${id}`
+  },
+
+  templates: {
+    choose: '📝 Выберите тип заявки:',
+    askDetails: (name, prompt) => `📝 **${name}**
+
+${prompt}
+
+Отправьте голосовое или текстовое сообщение с этими данными.`,
+    emptyDetails: '⚠️ Сообщение пустое. Отправьте данные для заявки голосом или текстом.',
+    notFound: '⚠️ Шаблон не найден. Воспользуйтесь командой /new ещё раз.',
+    cancel: '❌ Отменить',
+    cancelled: '❌ Создание заявки по шаблону отменено.'
+  },
+
+  confirmation: {
+    inProgress: '⏳ Заявка уже отправляется, подождите...',
+    alreadyCreated: (ticketId) => `ℹ️ Эта заявка уже создана: #${ticketId}`,
+    alreadyQueued: 'ℹ️ Эта заявка уже поставлена в очередь на отправку.'
+  },
+
+  language: {
+    choose: '🌐 Выберите язык интерфейса:',
+    changed: '✅ Язык интерфейса изменён на русский.',
+    unknown: '⚠️ Этот язык не поддерживается.'
+  },
+
+  outbox: {
+    queued: (title) => `📮 Service Desk сейчас недоступен. Заявка «${title}» поставлена в очередь — бот автоматически отправит её и сообщит номер заявки.`,
+    delivered: (title) => `📬 Заявка «${title}» из очереди успешно отправлена.`,
+    gaveUp: (title, description) => `❌ Не удалось создать заявку «${title}» — Service Desk долгое время недоступен.
+
+Пожалуйста, создайте заявку ещё раз позже или обратитесь в службу поддержки другим способом.
+
+📄 Текст заявки:
+${description}`
+  }
+}
+
+module.exports = uiMessages
@@ -0,0 +1,95 @@
+const fs = require('fs')
+const path = require('path')
+const { RULE_CHECKS, RULE_PARAMS } = require('../utils/contentRules')
+require('dotenv').config()
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'validationRules.json')
+const SEVERITIES = ['reject', 'warn']
+
+/**
+ * Ticket content validation rules: type of check with its params, severity and reasons per language.
+ * Loaded from VALIDATION_RULES_PATH (defaults to src/config/validationRules.json), checked in file order
+ */
+class ValidationRules {
+  constructor() {
+    this.rulesPath = process.env.VALIDATION_RULES_PATH || DEFAULT_RULES_PATH
+    this.rules = this.load(this.rulesPath)
+  }
+
+  /**
+   * Read and validate rules file
+   * @param {string} rulesPath - path to JSON file
+   * @returns {Array<Object>} - enabled rules
+   */
+  load(rulesPath) {
+    let config
+    try {
+      config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Failed to read validation rules ${rulesPath}: ${error.message}`)
+    }
+
+    const errors = this.validate(config)
+    if (errors.length > 0) {
+      throw new Error(`Invalid validation rules ${rulesPath}:\n- ${errors.join('\n- ')}`)
+    }
+
+    return config.rules.filter(rule => rule.enabled !== false)
+  }
+
+  /**
+   * Validate rule ids, types, params, severities and reasons
+   * @param {Object} config - parsed rules file
+   * @returns {Array<string>} - validation errors
+   */
+  validate(config) {
+    const errors = []
+
+    if (!config || !Array.isArray(config.rules)) {
+      return ['rules must be an array']
+    }
+
+    const ids = new Set()
+    config.rules.forEach((rule, i) => {
+      const where = `rules[${i}]`
+      if (!rule.id || typeof rule.id !== 'string') {
+        errors.push(`${where}.id must be a non-empty string`)
+      } else if (ids.has(rule.id)) {
+        errors.push(`${where}.id "${rule.id}" is duplicated`)
+      } else {
+        ids.add(rule.id)
+      }
+      if (!RULE_CHECKS[rule.type]) {
+        errors.push(`${where}.type must be one of: ${Object.keys(RULE_CHECKS).join(', ')}`)
+      } else {
+        for (const [param, kind] of Object.entries(RULE_PARAMS[rule.type])) {
+          const value = (rule.params || {})[param]
+          const valid = kind === 'array' ? Array.isArray(value) : typeof value === 'number'
+          if (!valid) {
+            errors.push(`${where}.params.${param} must be ${kind === 'array' ? 'an array' : 'a number'}`)
+          }
+        }
+      }
+      if (!SEVERITIES.includes(rule.severity)) {
+        errors.push(`${where}.severity must be one of: ${SEVERITIES.join(', ')}`)
+      }
+      if (!rule.reason || typeof rule.reason.uk !== 'string') {
+        errors.push(`${where}.reason.uk must be a string`)
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * Rule reason in the given language, Ukrainian when missing
+   * @param {Object} rule - validation rule
+   * @param {string} language - language code
+   * @returns {string} - reason
+   */
+  getReason(rule, language) {
+    return rule.reason[language] || rule.reason.uk
+  }
+}
+
+module.exports = new ValidationRules()
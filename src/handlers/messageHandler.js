@@ -4,8 +4,18 @@ const sessionService = require('../services/session')
 const authService = require('../services/auth')
 const ticketService = require('../services/ticketService')
 const ticketParser = require('../services/ticketParser')
+const ticketOutbox = require('../services/ticketOutbox')
+const ticketMessages = require('../services/ticketMessages')
+const localization = require('../services/localization')
+const userPreferences = require('../services/userPreferences')
+const departmentClassifier = require('../services/departmentClassifier')
+const { botConfig } = require('../config/bot')
+const ticketConfig = require('../config/ticketConfig')
+const ticketTemplates = require('../config/ticketTemplates')
+const { messages, uiMessages } = localization
 const logger = require('../utils/logger')
-const messages = require('../../data/messages')
+const { similarity } = require('../utils/textSimilarity')
+const { parseDueDate, formatDueDate } = require('../utils/dueDateParser')
 const logMessages = require('../../data/logMessages')
 const fs = require('fs')
 const path = require('path')
@@ -17,11 +27,24 @@ class MessageHandler {
       '/help': this.handleHelp.bind(this),
       '/clear': this.handleClear.bind(this),
       '/stats': this.handleStats.bind(this),
-      '/health': this.handleHealth.bind(this)
+      '/health': this.handleHealth.bind(this),
+      '/drafts': this.handleDrafts.bind(this),
+      '/mytickets': this.handleMyTickets.bind(this),
+      '/new': this.handleNew.bind(this),
+      '/keywords': this.handleKeywords.bind(this),
+      '/language': this.handleLanguage.bind(this)
     }
     this.tempDir = path.join(__dirname, '../../temp')
     this.ensureTempDir()
     this.authCache = new Map()
+    this.ticketsPerPage = parseInt(process.env.MY_TICKETS_PAGE_SIZE) || 5
+    // Extracted details that can be cleared with "-"
+    this.detailFields = ['room', 'asset', 'host', 'phone']
+    this.maxAttachments = parseInt(process.env.MAX_TICKET_ATTACHMENTS) || 5
+    this.maxAttachmentSizeMb = parseInt(process.env.MAX_ATTACHMENT_SIZE_MB) || 10
+    this.duplicateThreshold = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.5
+    this.outboxRunning = false
+    this.confirmLocks = new Set()
   }
 
   ensureTempDir() {
@@ -31,11 +54,36 @@ class MessageHandler {
   }
 
   /**
-   * Main handler for incoming messages
+   * Main handler for incoming messages, runs in the interface language of the user
    * @param {Object} bot - bot instance
    * @param {Object} msg - message object
    */
   async handleMessage(bot, msg) {
+    const from = msg.from || msg.callback_query?.from
+    const language = from ? this.getUserLanguage(from) : localization.defaultLanguage
+    return localization.run(language, () => this.routeMessage(bot, msg))
+  }
+
+  /**
+   * Interface language chosen with /language, otherwise taken from Telegram's language_code.
+   * The result is kept in the session for notifications sent without a user message
+   * @param {Object} from - Telegram user
+   * @returns {string} - language code
+   */
+  getUserLanguage(from) {
+    const userId = from.id.toString()
+    const session = sessionService.getSession(userId)
+    const language = userPreferences.getLanguage(userId) || localization.fromTelegram(from.language_code)
+
+    if (session.language !== language) {
+      session.language = language
+      sessionService.updateSession(userId, session)
+      logger.info(`Interface language ${language} set for user ${userId} (Telegram language code ${from.language_code || '-'})`)
+    }
+    return language
+  }
+
+  async routeMessage(bot, msg) {
     try {
       const chatId = msg.chat?.id || msg.callback_query?.message?.chat?.id
       const userId = msg.from?.id?.toString() || msg.callback_query?.from?.id?.toString()
@@ -79,6 +127,31 @@ class MessageHandler {
         sessionService.updateSession(userId, session)
       }
 
+      // Replies to "ticket created" messages are follow-up comments for that ticket
+      const followUpTicketId = this.getReplyTicketId(userId, msg)
+      if (followUpTicketId) {
+        await this.handleFollowUp(bot, msg, followUpTicketId)
+        return
+      }
+
+      // Photos and documents are attached to the pending draft
+      if (msg.photo || msg.document) {
+        await this.handleAttachment(bot, msg)
+        return
+      }
+
+      // Typed value for a field selected in the field editor
+      if (session.editingTicket?.mode?.startsWith('field_') && msg.text) {
+        await this.setFieldValue(bot, chatId, userId, session.editingTicket.ticketId, session.editingTicket.fieldName, msg.text)
+        return
+      }
+
+      // Details for a template selected via /new can also be typed
+      if (session.activeTemplate && msg.text) {
+        await this.handleTemplateDetails(bot, chatId, userId, msg.text)
+        return
+      }
+
       // Enforce voice-only input
       if (!msg.voice) {
         await bot.sendMessage(chatId, messages.errors.onlyVoiceAllowed)
@@ -122,11 +195,11 @@ class MessageHandler {
       // Parse callback data - handle different formats
       let action, ticketId
 
-      if (data.startsWith('editfield_')) {
+      if (data.startsWith('editfield_') || data.startsWith('setcategory_') || data.startsWith('setdepartment_')) {
         // For editfield_title_TKT-123
         const parts = data.split('_')
         if (parts.length >= 3) {
-          action = `${parts[0]}_${parts[1]}` // "editfield_title"
+          action = `${parts[0]}_${parts[1]}` // "editfield_title", "setcategory_incident"
           ticketId = parts.slice(2).join('_') // "TKT-123" (handle IDs with dashes)
         } else {
           logger.warn(`Invalid callback format: ${data}`)
@@ -158,11 +231,35 @@ class MessageHandler {
         case 'back':
           await this.backToTicketPreview(bot, chatId, userId, ticketId)
           break
+        case 'showdraft':
+          await this.resendDraftPreview(bot, chatId, userId, ticketId)
+          break
+        case 'dupcomment':
+          await this.addDraftAsComment(bot, chatId, userId, ticketId)
+          break
+        case 'template':
+          await this.selectTemplate(bot, chatId, userId, ticketId)
+          break
+        case 'templatecancel':
+          await this.cancelTemplate(bot, chatId, userId)
+          break
+        case 'language':
+          await this.setLanguage(bot, chatId, userId, ticketId)
+          break
+        case 'mytickets':
+          await this.showUserTickets(bot, chatId, userId, parseInt(ticketId) || 1, callbackQuery.message.message_id)
+          break
         default:
           // Handle field editing callbacks 
           if (action.startsWith('editfield_')) {
             const fieldName = action.split('_')[1] // Extract field name from "editfield_title"
             await this.startFieldEditing(bot, chatId, userId, ticketId, fieldName)
+          } else if (action.startsWith('setcategory_')) {
+            const categoryId = action.split('_')[1]
+            await this.setFieldValue(bot, chatId, userId, ticketId, 'category', categoryId)
+          } else if (action.startsWith('setdepartment_')) {
+            const departmentId = action.split('_')[1]
+            await this.chooseDepartment(bot, chatId, userId, ticketId, departmentId)
           } else {
             logger.warn(`Unknown callback action: ${action}`)
           }
@@ -178,12 +275,27 @@ class MessageHandler {
    * Confirm and send ticket to Service-Desk
    */
   async confirmTicket(bot, chatId, userId, ticketId) {
+    // Repeated confirm callbacks (double tap) must not create a second ticket
+    const lockKey = `${userId}:${ticketId}`
+    if (this.confirmLocks.has(lockKey)) {
+      logger.info(`Confirmation of ticket ${ticketId} for user ${userId} already in progress`)
+      await bot.sendMessage(chatId, uiMessages.confirmation.inProgress)
+      return
+    }
+    this.confirmLocks.add(lockKey)
+
     try {
       const session = sessionService.getSession(userId)
       const pendingTicket = session.pendingTickets?.[ticketId]
 
       if (!pendingTicket) {
-        await bot.sendMessage(chatId, messages.errors.ticketNotFound)
+        await this.handleMissingDraftConfirm(bot, chatId, session, ticketId)
+        return
+      }
+
+      // Confirm buttons of older messages must not bypass the department choice
+      if (pendingTicket.ticket.department_uncertain) {
+        await this.showDepartmentChoice(bot, chatId, ticketId)
         return
       }
 
@@ -191,22 +303,32 @@ class MessageHandler {
       await bot.sendChatAction(chatId, 'typing')
       await bot.sendMessage(chatId, messages.tickets.processingMessage)
 
+      const attachments = await this.loadDraftAttachments(bot, chatId, pendingTicket)
+
       // Create ticket in Service Desk using ticketService
       const creationResult = await ticketService.createTicket({
-        content: pendingTicket.content,
+        ticket: pendingTicket.ticket,
         telegramId: userId,
-        userInfo: session.userInfo
+        userInfo: session.userInfo,
+        attachments,
+        idempotencyKey: this.getIdempotencyKey(userId, ticketId)
       })
 
       if (creationResult.success) {
         // Success - send confirmation with ticket ID
-        await bot.sendMessage(chatId, creationResult.message)
+        const confirmationMessage = await bot.sendMessage(chatId, creationResult.message)
+
+        // Replies to this message are added to the ticket as follow-up comments
+        ticketMessages.remember(userId, confirmationMessage.message_id, creationResult.ticketId)
 
         // Mark the ticket as sent
         if (!session.sentTickets) {
           session.sentTickets = []
         }
         session.sentTickets.push(ticketId)
+        this.rememberConfirmedDraft(session, ticketId, creationResult.ticketId)
+        this.rememberSentTicket(session, creationResult.ticketId, pendingTicket.ticket)
+        this.learnDepartment(pendingTicket.ticket)
 
         // Remove from pending tickets
         if (session.pendingTickets) {
@@ -233,6 +355,18 @@ class MessageHandler {
           logger.error(`Failed to remove inline keyboard for ticket ${ticketId}:`, error)
         }
 
+      } else if (creationResult.retryable) {
+        // Service Desk unreachable - queue the ticket and retry in background
+        ticketOutbox.enqueue(pendingTicket, creationResult.error)
+
+        delete session.pendingTickets[ticketId]
+        if (session.editingTicket?.ticketId === ticketId) {
+          session.editingTicket = null
+        }
+        sessionService.updateSession(userId, session)
+
+        await this.removeDraftKeyboard(bot, session, chatId, ticketId)
+        await bot.sendMessage(chatId, uiMessages.outbox.queued(pendingTicket.ticket.title))
       } else {
         // Error - show concise error message and keep ticket pending
         await bot.sendMessage(chatId, creationResult.message)
@@ -249,6 +383,63 @@ class MessageHandler {
     } catch (error) {
       logger.error(logMessages.tickets.confirmError(userId, ticketId), error)
       await bot.sendMessage(chatId, messages.tickets.creationError)
+    } finally {
+      this.confirmLocks.delete(lockKey)
+    }
+  }
+
+  /**
+   * Confirm pressed for a draft that is no longer pending:
+   * report the already created or queued ticket instead of "not found"
+   */
+  async handleMissingDraftConfirm(bot, chatId, session, ticketId) {
+    const createdId = session.confirmedDrafts?.[ticketId]?.ticketId
+    if (createdId) {
+      logger.info(`Repeated confirmation of ticket ${ticketId} for user ${session.userId}, already created as ${createdId}`)
+      await bot.sendMessage(chatId, uiMessages.confirmation.alreadyCreated(createdId))
+      return
+    }
+
+    if (ticketOutbox.has(ticketId)) {
+      await bot.sendMessage(chatId, uiMessages.confirmation.alreadyQueued)
+      return
+    }
+
+    await bot.sendMessage(chatId, messages.errors.ticketNotFound)
+  }
+
+  /**
+   * Train department classifier on the final department of a created ticket.
+   * Template tickets are skipped, their department comes from the template, not from the text
+   */
+  learnDepartment(ticket) {
+    if (ticket.template_id) {
+      return
+    }
+    departmentClassifier.learn(ticket.description, ticket.department)
+  }
+
+  /**
+   * Idempotency key sent to ticket API, stable for the draft across confirm callbacks and outbox retries
+   */
+  getIdempotencyKey(userId, ticketId) {
+    return `tg-${userId}-${ticketId}`
+  }
+
+  /**
+   * Remember Service Desk ticket created from the draft (latest 50 drafts)
+   */
+  rememberConfirmedDraft(session, draftId, serviceDeskId) {
+    if (!session.confirmedDrafts) {
+      session.confirmedDrafts = {}
+    }
+    session.confirmedDrafts[draftId] = { ticketId: serviceDeskId, createdAt: new Date().toISOString() }
+
+    const draftIds = Object.keys(session.confirmedDrafts)
+    if (draftIds.length > 50) {
+      for (const oldId of draftIds.slice(0, draftIds.length - 50)) {
+        delete session.confirmedDrafts[oldId]
+      }
     }
   }
 
@@ -472,6 +663,163 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Handle /drafts command - list pending drafts with actions
+   */
+  async handleDrafts(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    // Check authentication for drafts command
+    const authResult = await authService.authorizeUser(userId)
+
+    if (!authResult.allowed) {
+      await bot.sendMessage(chatId, authResult.message)
+      return
+    }
+
+    const session = sessionService.getSession(userId)
+    const drafts = Object.values(session.pendingTickets || {})
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+    if (drafts.length === 0) {
+      await bot.sendMessage(chatId, uiMessages.drafts.empty)
+      return
+    }
+
+    const lines = [uiMessages.drafts.listHeader(drafts.length), '']
+    const keyboard = []
+
+    drafts.forEach((draft, i) => {
+      const index = i + 1
+      const { title } = draft.ticket
+      const ageMinutes = Math.floor((Date.now() - new Date(draft.createdAt).getTime()) / 60000)
+
+      lines.push(uiMessages.drafts.listItem(index, title || draft.id, uiMessages.drafts.age(ageMinutes)))
+      keyboard.push([
+        { text: uiMessages.drafts.buttons.show(index), callback_data: `showdraft_${draft.id}` },
+        { text: uiMessages.drafts.buttons.confirm(index), callback_data: `confirm_${draft.id}` },
+        { text: uiMessages.drafts.buttons.discard(index), callback_data: `cancel_${draft.id}` }
+      ])
+    })
+
+    await bot.sendMessage(chatId, lines.join('\n'), {
+      reply_markup: { inline_keyboard: keyboard },
+      parse_mode: 'Markdown'
+    })
+    logger.info(`Listed ${drafts.length} drafts for user ${userId}`)
+  }
+
+  /**
+   * Handle /mytickets command - show user's Service Desk tickets
+   */
+  async handleMyTickets(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    // Check authentication for mytickets command
+    const authResult = await authService.authorizeUser(userId)
+
+    if (!authResult.allowed) {
+      await bot.sendMessage(chatId, authResult.message)
+      return
+    }
+
+    await this.showUserTickets(bot, chatId, userId, 1)
+  }
+
+  /**
+   * Show a page of user's tickets, editing the existing message when paginating
+   * @param {number} page - page number starting from 1
+   * @param {number|null} messageId - message to edit instead of sending a new one
+   */
+  async showUserTickets(bot, chatId, userId, page, messageId = null) {
+    try {
+      await bot.sendChatAction(chatId, 'typing')
+      const result = await ticketService.getUserTickets(userId, page, this.ticketsPerPage)
+
+      if (!result.success) {
+        await bot.sendMessage(chatId, uiMessages.myTickets.loadError)
+        return
+      }
+
+      if (result.total === 0) {
+        await bot.sendMessage(chatId, uiMessages.myTickets.empty)
+        return
+      }
+
+      const lines = [uiMessages.myTickets.header(result.page, result.pages, result.total), '']
+      for (const ticket of result.tickets) {
+        const updated = ticket.updatedAt ? new Date(ticket.updatedAt).toLocaleString('uk-UA') : '-'
+        lines.push(uiMessages.myTickets.item(ticket, updated), '')
+      }
+
+      const navigation = []
+      if (result.page > 1) {
+        navigation.push({ text: uiMessages.myTickets.buttons.prev, callback_data: `mytickets_${result.page - 1}` })
+      }
+      if (result.page < result.pages) {
+        navigation.push({ text: uiMessages.myTickets.buttons.next, callback_data: `mytickets_${result.page + 1}` })
+      }
+
+      const options = {
+        reply_markup: { inline_keyboard: navigation.length > 0 ? [navigation] : [] }
+      }
+      const text = lines.join('\n').trim()
+
+      if (messageId) {
+        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options })
+      } else {
+        await bot.sendMessage(chatId, text, options)
+      }
+
+      logger.info(`Shown tickets page ${result.page}/${result.pages} for user ${userId}`)
+
+    } catch (error) {
+      logger.error(`Error showing tickets for user ${userId}:`, error)
+      await bot.sendMessage(chatId, messages.errors.generalError)
+    }
+  }
+
+  /**
+   * Show draft preview again, moving the confirmation keyboard to the new message
+   */
+  async resendDraftPreview(bot, chatId, userId, ticketId) {
+    try {
+      const session = sessionService.getSession(userId)
+      const pendingTicket = session.pendingTickets?.[ticketId]
+
+      if (!pendingTicket) {
+        await bot.sendMessage(chatId, messages.errors.ticketNotFound)
+        return
+      }
+
+      await this.removeDraftKeyboard(bot, session, chatId, ticketId)
+
+      const sentMessage = await bot.sendMessage(chatId, this.buildTicketPreview(pendingTicket), {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: messages.tickets.buttons.confirm, callback_data: `confirm_${ticketId}` },
+              { text: messages.tickets.buttons.cancel, callback_data: `cancel_${ticketId}` }
+            ]
+          ]
+        },
+        parse_mode: 'Markdown'
+      })
+
+      if (!session.messages) {
+        session.messages = {}
+      }
+      session.messages[ticketId] = sentMessage.message_id
+      sessionService.updateSession(userId, session)
+
+    } catch (error) {
+      logger.error(`Error resending draft preview ${ticketId} for user ${userId}:`, error)
+      await bot.sendMessage(chatId, messages.errors.generalError)
+    }
+  }
+
   /**
    * Handle voice messages
    */
@@ -486,22 +834,7 @@ class MessageHandler {
       await bot.sendMessage(chatId, messages.processing.voiceProcessing)
 
       // Download voice file
-      const fileId = msg.voice.file_id
-      const file = await bot.getFile(fileId)
-      const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`
-
-      // Save voice file temporarily
-      const tempFileName = `voice_${userId}_${Date.now()}.oga`
-      const tempFilePath = path.join(this.tempDir, tempFileName)
-
-      const response = await require('axios').get(fileUrl, { responseType: 'stream' })
-      const writer = fs.createWriteStream(tempFilePath)
-      response.data.pipe(writer)
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve)
-        writer.on('error', reject)
-      })
+      const tempFilePath = await this.downloadTelegramFile(bot, msg.voice.file_id, `voice_${userId}_${Date.now()}.oga`)
 
       // Check if user is in voice editing mode
       if (session.editingTicket && session.editingTicket.mode === 'voice') {
@@ -521,6 +854,38 @@ class MessageHandler {
         return
       }
 
+      // Dictated value for a field selected in the field editor
+      if (session.editingTicket?.mode?.startsWith('field_')) {
+        if (process.env.ENABLE_SPEECH_TO_TEXT === 'true') {
+          const segmentNumber = session.conversationHistory.length + 1
+          const transcription = await localAIService.speechToText(tempFilePath, userId, segmentNumber)
+          await this.setFieldValue(bot, chatId, userId, session.editingTicket.ticketId, session.editingTicket.fieldName, transcription)
+        } else {
+          await bot.sendMessage(chatId, messages.errors.voiceProcessingError)
+        }
+
+        fs.unlink(tempFilePath, (err) => {
+          if (err) logger.warn(logMessages.files.tempFileDeleteFailed, err)
+        })
+        return
+      }
+
+      // Voice message with details for a template selected via /new
+      if (session.activeTemplate) {
+        if (process.env.ENABLE_SPEECH_TO_TEXT === 'true') {
+          const segmentNumber = session.conversationHistory.length + 1
+          const transcription = await localAIService.speechToText(tempFilePath, userId, segmentNumber)
+          await this.handleTemplateDetails(bot, chatId, userId, transcription)
+        } else {
+          await bot.sendMessage(chatId, messages.errors.voiceProcessingError)
+        }
+
+        fs.unlink(tempFilePath, (err) => {
+          if (err) logger.warn(logMessages.files.tempFileDeleteFailed, err)
+        })
+        return
+      }
+
       // Get current message number for this user
       const segmentNumber = session.conversationHistory.length + 1
 
@@ -531,7 +896,7 @@ class MessageHandler {
 
           // Save to history
           sessionService.addToHistory(userId, 'voice_message', `[Voice message #${segmentNumber}]`)
-          sessionService.addToHistory(userId, 'ai_response', result)
+          sessionService.addToHistory(userId, 'ai_response', ticketParser.formatTicketForDisplay(result))
 
           // Create pending ticket for confirmation instead of sending directly
           await this.createPendingTicket(bot, chatId, userId, result, 'voice')
@@ -553,7 +918,7 @@ class MessageHandler {
         // Check if this is a validation error
         if (localError.message && localError.message.startsWith('VALIDATION_FAILED:')) {
           const reason = localError.message.replace('VALIDATION_FAILED: ', '')
-          await bot.sendMessage(chatId, `❌ **Заявку відхилено**\n\n${reason}\n\nБудь ласка, опишіть вашу проблему більш детально та конкретно.`, { parse_mode: 'Markdown' })
+          await bot.sendMessage(chatId, uiMessages.validation.rejected(reason), { parse_mode: 'Markdown' })
           return
         }
 
@@ -579,66 +944,273 @@ class MessageHandler {
   }
 
   /**
-   * Handle text messages
+   * Download file from Telegram servers to temp directory
+   * @param {Object} bot - bot instance
+   * @param {string} fileId - telegram file id
+   * @param {string} tempFileName - file name in temp directory
+   * @returns {Promise<string>} - path to downloaded file
    */
-  async handleTextMessage(bot, msg) {
+  async downloadTelegramFile(bot, fileId, tempFileName) {
+    const file = await bot.getFile(fileId)
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`
+    const tempFilePath = path.join(this.tempDir, tempFileName)
+
+    const response = await require('axios').get(fileUrl, { responseType: 'stream' })
+    const writer = fs.createWriteStream(tempFilePath)
+    response.data.pipe(writer)
+
+    await new Promise((resolve, reject) => {
+      writer.on('finish', resolve)
+      writer.on('error', reject)
+    })
+
+    return tempFilePath
+  }
+
+  /**
+   * Attach photo or document to the pending draft.
+   * Draft is the one the message replies to, otherwise the most recent one.
+   */
+  async handleAttachment(bot, msg) {
     const chatId = msg.chat.id
     const userId = msg.from.id.toString()
-    const messageText = msg.text
 
     try {
-      // Check if user is in editing mode
       const session = sessionService.getSession(userId)
-      if (session.editingTicket) {
-        if (session.editingTicket.mode === 'text' || session.editingTicket.mode === 'full') {
-          logger.info(`User ${userId} is in editing mode: ${session.editingTicket.mode}`)
-          await this.processTicketEdit(bot, chatId, userId, messageText, session.editingTicket.mode)
-          return
-        } else if (session.editingTicket.mode.startsWith('field_')) {
-          // User is editing a specific field
-          const fieldName = session.editingTicket.fieldName
-          await this.setFieldValue(bot, chatId, userId, session.editingTicket.ticketId, fieldName, messageText)
-          return
-        }
-      }
-
-      // Show processing indicator
-      await bot.sendChatAction(chatId, 'typing')
+      const drafts = Object.values(session.pendingTickets || {})
 
-      try {
-        if (process.env.ENABLE_LOCAL_AI === 'true') {
-          // Process text through local AI
-          const result = await localAIService.processTextMessage(messageText, userId)
+      if (drafts.length === 0) {
+        await bot.sendMessage(chatId, uiMessages.attachments.noDraft)
+        return
+      }
 
-          // Save to history
-          sessionService.addToHistory(userId, 'text_message', messageText)
-          sessionService.addToHistory(userId, 'ai_response', result)
+      const replyToId = msg.reply_to_message?.message_id
+      const draft = drafts.find(d => replyToId && session.messages?.[d.id] === replyToId) ||
+        drafts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0]
 
-          // Create pending ticket for confirmation instead of sending directly
-          await this.createPendingTicket(bot, chatId, userId, result, 'text')
+      if (!draft.attachments) {
+        draft.attachments = []
+      }
 
-        } else {
-          // Local AI is disabled - skip to fallback
-          logger.warn(logMessages.processing.localAIDisabled(userId))
+      if (draft.attachments.length >= this.maxAttachments) {
+        await bot.sendMessage(chatId, uiMessages.attachments.tooMany(this.maxAttachments))
+        return
+      }
 
-          if (process.env.ENABLE_CHATGPT_FALLBACK === 'true') {
-            await this.fallbackToChatGPT(bot, msg, messageText, 'ENABLE_LOCAL_AI is false')
-          } else {
-            await bot.sendMessage(chatId, messages.errors.textProcessingError)
-          }
+      let attachment
+      if (msg.photo) {
+        // Telegram sends several sizes, the last one is the largest
+        const photo = msg.photo[msg.photo.length - 1]
+        attachment = {
+          fileId: photo.file_id,
+          filename: `photo_${photo.file_unique_id || Date.now()}.jpg`,
+          mimeType: 'image/jpeg',
+          size: photo.file_size || 0
+        }
+      } else {
+        attachment = {
+          fileId: msg.document.file_id,
+          filename: msg.document.file_name || `document_${Date.now()}`,
+          mimeType: msg.document.mime_type || 'application/octet-stream',
+          size: msg.document.file_size || 0
         }
+      }
 
-      } catch (localError) {
-        logger.warn(logMessages.processing.localAIFailed(userId, localError))
+      if (attachment.size > this.maxAttachmentSizeMb * 1024 * 1024) {
+        await bot.sendMessage(chatId, uiMessages.attachments.tooLarge(this.maxAttachmentSizeMb))
+        return
+      }
 
-        // Check if this is a validation error
-        if (localError.message && localError.message.startsWith('VALIDATION_FAILED:')) {
-          const reason = localError.message.replace('VALIDATION_FAILED: ', '')
-          await bot.sendMessage(chatId, `❌ **Заявку відхилено**\n\n${reason}\n\nБудь ласка, опишіть вашу проблему більш детально та конкретно.`, { parse_mode: 'Markdown' })
-          return
-        }
+      draft.attachments.push(attachment)
+      draft.lastModified = new Date().toISOString()
+      draft.expiresAt = this.getDraftExpiry()
+      draft.reminderSent = false
+      sessionService.updateSession(userId, session)
 
-        // Check if ChatGPT fallback is enabled
+      const { title } = draft.ticket
+      await bot.sendMessage(chatId, uiMessages.attachments.added(draft.attachments.length, title || draft.id))
+      logger.info(`Attachment ${attachment.filename} added to draft ${draft.id} of user ${userId}`)
+
+    } catch (error) {
+      logger.error(`Error adding attachment for user ${userId}:`, error)
+      await bot.sendMessage(chatId, messages.errors.generalError)
+    }
+  }
+
+  /**
+   * Download draft attachments from Telegram for upload to Service Desk.
+   * Files that fail to download are skipped and listed to the user in one message
+   * @returns {Promise<Array<Object>>} - files {filename, mimeType, data (base64)}
+   */
+  async loadDraftAttachments(bot, chatId, pendingTicket) {
+    const files = []
+    const failed = []
+
+    for (const attachment of pendingTicket.attachments || []) {
+      let tempFilePath = null
+      try {
+        tempFilePath = await this.downloadTelegramFile(bot, attachment.fileId, `attachment_${Date.now()}_${files.length + failed.length}`)
+        files.push({
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          data: fs.readFileSync(tempFilePath).toString('base64')
+        })
+      } catch (error) {
+        logger.error(`Failed to download attachment ${attachment.filename} for ticket ${pendingTicket.id}:`, error.message)
+        failed.push(attachment.filename)
+      } finally {
+        if (tempFilePath) {
+          fs.unlink(tempFilePath, (err) => {
+            if (err) logger.warn(logMessages.files.tempFileDeleteFailed, err)
+          })
+        }
+      }
+    }
+
+    if (failed.length > 0) {
+      await bot.sendMessage(chatId, uiMessages.attachments.downloadError(failed))
+    }
+
+    return files
+  }
+
+  /**
+   * Build ticket preview text including attachments count
+   */
+  buildTicketPreview(pendingTicket) {
+    return messages.tickets.preview(ticketParser.formatTicketForDisplay(pendingTicket.ticket)) + this.getAttachmentsLine(pendingTicket)
+  }
+
+  getAttachmentsLine(pendingTicket) {
+    const count = pendingTicket.attachments?.length || 0
+    return count > 0 ? `\n\n${uiMessages.attachments.previewLine(count)}` : ''
+  }
+
+  /**
+   * Get Service Desk ticket id if message is a reply to a "ticket created" message
+   * @returns {string|number|null} - ticket id
+   */
+  getReplyTicketId(userId, msg) {
+    const replyToId = msg.reply_to_message?.message_id
+    if (!replyToId) {
+      return null
+    }
+    return ticketMessages.getTicketId(userId, replyToId)
+  }
+
+  /**
+   * Add user's text or voice reply as a comment to an existing ticket
+   */
+  async handleFollowUp(bot, msg, ticketId) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    try {
+      let text = msg.text || msg.caption || ''
+
+      if (msg.voice) {
+        if (process.env.ENABLE_SPEECH_TO_TEXT !== 'true') {
+          await bot.sendMessage(chatId, messages.errors.voiceProcessingError)
+          return
+        }
+
+        await bot.sendChatAction(chatId, 'typing')
+        const tempFilePath = await this.downloadTelegramFile(bot, msg.voice.file_id, `voice_${userId}_${Date.now()}.oga`)
+        const session = sessionService.getSession(userId)
+        const segmentNumber = session.conversationHistory.length + 1
+
+        try {
+          text = await localAIService.speechToText(tempFilePath, userId, segmentNumber)
+        } finally {
+          fs.unlink(tempFilePath, (err) => {
+            if (err) logger.warn(logMessages.files.tempFileDeleteFailed, err)
+          })
+        }
+      }
+
+      text = text.trim()
+      if (!text) {
+        await bot.sendMessage(chatId, uiMessages.followUp.empty)
+        return
+      }
+
+      await bot.sendMessage(chatId, uiMessages.followUp.processing)
+      const result = await ticketService.addArticle(ticketId, text, userId)
+
+      if (result.success) {
+        sessionService.addToHistory(userId, 'follow_up', `[Ticket ${ticketId}] ${text}`)
+        await bot.sendMessage(chatId, uiMessages.followUp.added(ticketId))
+      } else {
+        await bot.sendMessage(chatId, uiMessages.followUp.error(ticketId))
+      }
+
+    } catch (error) {
+      logger.error(`Error adding follow-up to ticket ${ticketId} for user ${userId}:`, error)
+      await bot.sendMessage(chatId, uiMessages.followUp.error(ticketId))
+    }
+  }
+
+  /**
+   * Handle text messages
+   */
+  async handleTextMessage(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+    const messageText = msg.text
+
+    try {
+      // Check if user is in editing mode
+      const session = sessionService.getSession(userId)
+      if (session.editingTicket) {
+        if (session.editingTicket.mode === 'text') {
+          logger.info(`User ${userId} is in editing mode: ${session.editingTicket.mode}`)
+          await this.processTicketEdit(bot, chatId, userId, messageText, session.editingTicket.mode)
+          return
+        } else if (session.editingTicket.mode.startsWith('field_')) {
+          // User is editing a specific field
+          const fieldName = session.editingTicket.fieldName
+          await this.setFieldValue(bot, chatId, userId, session.editingTicket.ticketId, fieldName, messageText)
+          return
+        }
+      }
+
+      // Show processing indicator
+      await bot.sendChatAction(chatId, 'typing')
+
+      try {
+        if (process.env.ENABLE_LOCAL_AI === 'true') {
+          // Process text through local AI
+          const result = await localAIService.processTextMessage(messageText, userId)
+
+          // Save to history
+          sessionService.addToHistory(userId, 'text_message', messageText)
+          sessionService.addToHistory(userId, 'ai_response', ticketParser.formatTicketForDisplay(result))
+
+          // Create pending ticket for confirmation instead of sending directly
+          await this.createPendingTicket(bot, chatId, userId, result, 'text')
+
+        } else {
+          // Local AI is disabled - skip to fallback
+          logger.warn(logMessages.processing.localAIDisabled(userId))
+
+          if (process.env.ENABLE_CHATGPT_FALLBACK === 'true') {
+            await this.fallbackToChatGPT(bot, msg, messageText, 'ENABLE_LOCAL_AI is false')
+          } else {
+            await bot.sendMessage(chatId, messages.errors.textProcessingError)
+          }
+        }
+
+      } catch (localError) {
+        logger.warn(logMessages.processing.localAIFailed(userId, localError))
+
+        // Check if this is a validation error
+        if (localError.message && localError.message.startsWith('VALIDATION_FAILED:')) {
+          const reason = localError.message.replace('VALIDATION_FAILED: ', '')
+          await bot.sendMessage(chatId, uiMessages.validation.rejected(reason), { parse_mode: 'Markdown' })
+          return
+        }
+
+        // Check if ChatGPT fallback is enabled
         if (process.env.ENABLE_CHATGPT_FALLBACK === 'true') {
           // Fallback to ChatGPT if local services fail
           await this.fallbackToChatGPT(bot, msg, messageText, localError.message)
@@ -672,19 +1244,14 @@ class MessageHandler {
       await bot.sendChatAction(chatId, 'typing')
       await bot.sendMessage(chatId, messages.tickets.processing)
 
-      let updatedTicket
-
-      if (inputType === 'full') {
-        // For full editing, convert the editable text back to formatted ticket
-        updatedTicket = this.convertFromEditableFormat(editText)
-      } else {
-        // For text/voice editing, apply edits to existing content
-        updatedTicket = await this.applyTicketEdits(pendingTicket.content, editText)
-      }
+      // Apply text/voice edits to existing ticket fields
+      const updatedTicket = await this.applyTicketEdits(pendingTicket.ticket, editText)
 
       // Update pending ticket
-      pendingTicket.content = updatedTicket
+      pendingTicket.ticket = updatedTicket
       pendingTicket.lastModified = new Date().toISOString()
+      pendingTicket.expiresAt = this.getDraftExpiry()
+      pendingTicket.reminderSent = false
       session.pendingTickets[ticketId] = pendingTicket
 
       // Clear editing mode
@@ -706,7 +1273,7 @@ class MessageHandler {
         }
       }
 
-      const ticketPreview = messages.tickets.updatedPreview(updatedTicket)
+      const ticketPreview = messages.tickets.updatedPreview(ticketParser.formatTicketForDisplay(updatedTicket)) + this.getAttachmentsLine(pendingTicket)
 
       await bot.sendMessage(chatId, ticketPreview, {
         ...confirmationKeyboard,
@@ -722,16 +1289,20 @@ class MessageHandler {
   }
 
   /**
-   * Apply edit instructions to ticket content
+   * Apply edit instructions to ticket fields
+   * @param {Object} originalTicket - ticket object
+   * @param {string} editInstructions - user's edit instructions
+   * @returns {Promise<Object>} - updated ticket object
    */
-  async applyTicketEdits(originalContent, editInstructions) {
+  async applyTicketEdits(originalTicket, editInstructions) {
     try {
       // Simple keyword-based editing logic
       // In production, this could use AI to understand natural language editing instructions
 
-      logger.info(`Applying edits: "${editInstructions}" to content length ${originalContent.length}`)
+      logger.info(`Applying edits: "${editInstructions}" to ticket ${originalTicket.ticket_id}`)
 
-      let updatedContent = originalContent
+      const updatedTicket = { ...originalTicket, additional_info: [...(originalTicket.additional_info || [])] }
+      let changed = false
       const lowerEdit = editInstructions.toLowerCase()
 
       logger.info(`Lowercase edit instructions: "${lowerEdit}"`)
@@ -748,7 +1319,8 @@ class MessageHandler {
 
         if (newTitle) {
           logger.info(`Changing title to: "${newTitle}"`)
-          updatedContent = updatedContent.replace(/📝\s*\*\*Заголовок:\*\*\s*[^\n]+/i, `📝 **Заголовок:** ${newTitle}`)
+          updatedTicket.title = newTitle
+          changed = true
           logger.info('Title successfully replaced')
         }
       }
@@ -756,105 +1328,54 @@ class MessageHandler {
       // Handle description changes
       if (messages.tickets.editKeywords.description.some(keyword => lowerEdit.includes(keyword))) {
         logger.info('Detected description change request')
-        const descMatch = updatedContent.match(/📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n🔴|\n🟡|\n🟢|\n⚫|\n📊|$)/s)
-        if (descMatch) {
-          const currentDesc = descMatch[1].trim()
-          logger.info(`Current description: "${currentDesc.substring(0, 50)}..."`)
-
-          // Check if it's "add to description" or "replace description"
-          const isReplaceDescription = lowerEdit.includes('замін') || lowerEdit.includes('заме́н') ||
-            lowerEdit.includes('змін') || lowerEdit.includes('перепиш') ||
-            lowerEdit.includes('replace') || lowerEdit.includes('change')
-
-          // By default, ADD to description unless explicitly asked to replace
-          const isAddToDescription = !isReplaceDescription
-
-          // Extract the new description part from the edit instruction
-          let newDescPart = editInstructions
-            .replace(/додати до опису|додати в опис|змінити опис|замінити опис|опис проблеми|опис|description|додати|добавить|доповнити|заменить|замінити|дополнить|изменить/gi, '')
-            .replace(/^(що|что|то що|те що|на|:)?\s*/i, '')
-            .trim()
-
-          if (newDescPart) {
-            if (isAddToDescription) {
-              // Add to existing description (DEFAULT behavior)
-              const separator = currentDesc.includes('\n') ? '\n\n' : '. '
-              const newFullDesc = `${currentDesc}${separator}${newDescPart}`
-              updatedContent = updatedContent.replace(
-                /📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n🔴|\n🟡|\n🟢|\n⚫|\n📊|$)/s,
-                `📄 **Опис:** ${newFullDesc}`
-              )
-              logger.info('Description successfully extended (default)')
-            } else {
-              // Replace description (only when explicitly requested)
-              updatedContent = updatedContent.replace(
-                /📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n🔴|\n🟡|\n🟢|\n⚫|\n📊|$)/s,
-                `📄 **Опис:** ${newDescPart}`
-              )
-              logger.info('Description successfully replaced (explicit)')
-            }
-          }
-        }
-      }
+        const currentDesc = updatedTicket.description || ''
+        logger.info(`Current description: "${currentDesc.substring(0, 50)}..."`)
 
-      /* REMOVED: Priority editing functionality - system now auto-determines priority
-      // Handle priority changes (with Surzhyk support)
-      if (messages.tickets.editKeywords.priority && messages.tickets.editKeywords.priority.some(keyword => lowerEdit.includes(keyword))) {
-        logger.info('Detected priority change request')
-        let newPriority = 'Medium'
-        let priorityEmoji = '🟡'
-        
-        // High priority keywords (Ukrainian + Russian + Surzhyk)
-        if (lowerEdit.includes('високий') || lowerEdit.includes('высокий') || lowerEdit.includes('high') || 
-            lowerEdit.includes('вищий') || lowerEdit.includes('вище') || lowerEdit.includes('выше') ||
-            lowerEdit.includes('підвищ') || lowerEdit.includes('повыс') || lowerEdit.includes('збільш') ||
-            lowerEdit.includes('увеличь') || lowerEdit.includes('повысь')) {
-          newPriority = 'High'
-          priorityEmoji = '🔴'
-          logger.info('Setting priority to High')
-        } 
-        // Low priority keywords (Ukrainian + Russian + Surzhyk)
-        else if (lowerEdit.includes('низький') || lowerEdit.includes('низкий') || lowerEdit.includes('low') ||
-                 lowerEdit.includes('нижч') || lowerEdit.includes('ниже') || lowerEdit.includes('зменш') ||
-                 lowerEdit.includes('уменьш') || lowerEdit.includes('понизь') || lowerEdit.includes('снизь')) {
-          newPriority = 'Low'  
-          priorityEmoji = '🟢'
-          logger.info('Setting priority to Low')
-        } 
-        // Critical priority keywords (Ukrainian + Russian + Surzhyk)
-        else if (lowerEdit.includes('критичний') || lowerEdit.includes('критический') || lowerEdit.includes('critical') ||
-                 lowerEdit.includes('терміново') || lowerEdit.includes('срочно') || lowerEdit.includes('urgent') ||
-                 lowerEdit.includes('термінов') || lowerEdit.includes('срочн')) {
-          newPriority = 'Critical'
-          priorityEmoji = '⚫'
-          logger.info('Setting priority to Critical')
-        }
-        
-        // Replace priority line (with any emoji)
-        const oldContent = updatedContent
-        updatedContent = updatedContent.replace(/[🔴🟡🟢⚫]\s*\*\*Пріоритет:\*\*\s*[^\n]+/i, `${priorityEmoji} **Пріоритет:** ${newPriority}`)
-        
-        if (oldContent !== updatedContent) {
-          logger.info(`Priority successfully changed to ${newPriority}`)
-        } else {
-          logger.warn('Failed to replace priority line')
+        // Check if it's "add to description" or "replace description"
+        const isReplaceDescription = lowerEdit.includes('замін') || lowerEdit.includes('заме́н') ||
+          lowerEdit.includes('змін') || lowerEdit.includes('перепиш') ||
+          lowerEdit.includes('replace') || lowerEdit.includes('change')
+
+        // By default, ADD to description unless explicitly asked to replace
+        const isAddToDescription = !isReplaceDescription
+
+        // Extract the new description part from the edit instruction
+        let newDescPart = editInstructions
+          .replace(/додати до опису|додати в опис|змінити опис|замінити опис|опис проблеми|опис|description|додати|добавить|доповнити|заменить|замінити|дополнить|изменить/gi, '')
+          .replace(/^(що|что|то що|те що|на|:)?\s*/i, '')
+          .trim()
+
+        if (newDescPart) {
+          if (isAddToDescription && currentDesc) {
+            // Add to existing description (DEFAULT behavior)
+            const separator = currentDesc.includes('\n') ? '\n\n' : '. '
+            updatedTicket.description = `${currentDesc}${separator}${newDescPart}`
+            logger.info('Description successfully extended (default)')
+          } else {
+            // Replace description (only when explicitly requested)
+            updatedTicket.description = newDescPart
+            logger.info('Description successfully replaced (explicit)')
+          }
+          changed = true
         }
       }
-      */
 
       // Log final result
-      if (updatedContent === originalContent) {
+      if (!changed) {
         logger.info('No changes detected, adding as additional information')
-        updatedContent += `\n\n🔄 **Додаткова інформація:**\n${editInstructions}`
+        updatedTicket.additional_info.push(editInstructions)
       } else {
-        logger.info('Content successfully updated')
+        logger.info('Ticket successfully updated')
       }
 
-      return updatedContent
+      return updatedTicket
 
     } catch (error) {
       logger.error('Error applying ticket edits:', error)
-      return originalContent + `\n\n🔄 **Додаткова інформація:**\n${editInstructions}`
+      return {
+        ...originalTicket,
+        additional_info: [...(originalTicket.additional_info || []), editInstructions]
+      }
     }
   }
 
@@ -865,7 +1386,7 @@ class MessageHandler {
     try {
       const session = sessionService.getSession(userId)
 
-      // Get the current ticket content
+      // Get the current ticket
       const pendingTicket = session.pendingTickets?.[ticketId]
       if (!pendingTicket) {
         await bot.sendMessage(chatId, messages.errors.ticketNotFound)
@@ -892,16 +1413,22 @@ class MessageHandler {
    * Show ticket with buttons to edit individual fields
    */
   async showTicketWithEditButtons(bot, chatId, userId, ticketId, pendingTicket) {
-    // Parse current ticket fields
-    const fields = this.parseTicketFields(pendingTicket.content)
+    const fields = pendingTicket.ticket
+    const category = ticketConfig.getCategory(fields.category)
 
     // Create ticket display with current values
-    const ticketDisplay = `📋 **Редагування заявки по полях**\n\n` +
-      `📝 **Заголовок:** ${fields.title || 'Не вказано'}\n` +
-      `📄 **Опис:** ${fields.description || 'Не вказано'}\n` +
-      `${this.getPriorityEmoji(fields.priority)} **Пріоритет:** ${fields.priority || 'Medium'}\n` +
-      `📊 **Категорія:** ${fields.category || 'Не вказано'}\n\n` +
-      `⬇️ **Оберіть поле для редагування:**`
+    const labels = uiMessages.ticketFields
+    const ticketDisplay = `${uiMessages.fieldEditor.header}\n\n` +
+      `📝 **${labels.title}:** ${fields.title || labels.notSet}\n` +
+      `📄 **${labels.description}:** ${fields.description || labels.notSet}\n` +
+      `${this.getPriorityEmoji(fields.priority)} **${labels.priority}:** ${fields.priority || 'Medium'}\n` +
+      `${category?.emoji || '📊'} **${labels.category}:** ${category?.name || fields.category || labels.notSet}\n` +
+      `🚪 **${labels.room}:** ${fields.room || labels.notSet}\n` +
+      `🏷 **${labels.asset}:** ${fields.asset || labels.notSet}\n` +
+      `🖥 **${labels.host}:** ${fields.host || labels.notSet}\n` +
+      `📞 **${labels.phone}:** ${fields.phone || labels.notSet}\n` +
+      `⏳ **${labels.deadline}:** ${fields.deadline ? formatDueDate(fields.deadline) : labels.notSet}\n\n` +
+      uiMessages.fieldEditor.chooseField
 
     // Create keyboard with edit buttons for each field
     const editFieldsKeyboard = {
@@ -911,6 +1438,20 @@ class MessageHandler {
             { text: messages.tickets.buttons.editTitle, callback_data: `editfield_title_${ticketId}` },
             { text: messages.tickets.buttons.editDescription, callback_data: `editfield_description_${ticketId}` }
           ],
+          [
+            { text: uiMessages.categories.editButton, callback_data: `editfield_category_${ticketId}` }
+          ],
+          [
+            { text: uiMessages.details.buttons.room, callback_data: `editfield_room_${ticketId}` },
+            { text: uiMessages.details.buttons.asset, callback_data: `editfield_asset_${ticketId}` }
+          ],
+          [
+            { text: uiMessages.details.buttons.host, callback_data: `editfield_host_${ticketId}` },
+            { text: uiMessages.details.buttons.phone, callback_data: `editfield_phone_${ticketId}` }
+          ],
+          [
+            { text: uiMessages.details.buttons.deadline, callback_data: `editfield_deadline_${ticketId}` }
+          ],
           [
             { text: messages.tickets.buttons.save, callback_data: `confirm_${ticketId}` },
             { text: messages.tickets.buttons.cancel, callback_data: `cancel_${ticketId}` }
@@ -923,40 +1464,100 @@ class MessageHandler {
   }
 
   /**
-   * Parse ticket content to extract individual fields
+   * Show buttons with configured categories for the draft
+   */
+  async showCategoryChoice(bot, chatId, ticketId) {
+    const keyboard = ticketConfig.categories.map(category => [
+      { text: `${category.emoji} ${category.name}`, callback_data: `setcategory_${category.id}_${ticketId}` }
+    ])
+
+    await bot.sendMessage(chatId, uiMessages.categories.choose, {
+      reply_markup: { inline_keyboard: keyboard }
+    })
+  }
+
+  /**
+   * Buttons with configured departments for the draft, two per row
    */
-  parseTicketFields(content) {
-    const fields = {}
+  getDepartmentChoiceRows(ticketId) {
+    const buttons = ticketConfig.departments.map(department => (
+      { text: `${department.emoji} ${department.name}`, callback_data: `setdepartment_${department.id}_${ticketId}` }
+    ))
+
+    const rows = []
+    for (let i = 0; i < buttons.length; i += 2) {
+      rows.push(buttons.slice(i, i + 2))
+    }
+    return rows
+  }
+
+  async showDepartmentChoice(bot, chatId, ticketId) {
+    await bot.sendMessage(chatId, uiMessages.departments.choose, {
+      reply_markup: { inline_keyboard: this.getDepartmentChoiceRows(ticketId) }
+    })
+  }
 
-    // Extract title
-    const titleMatch = content.match(/📝\s*\*\*Заголовок:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.title = titleMatch ? titleMatch[1].trim() : ''
+  /**
+   * Apply department chosen by the user and show the preview with confirmation buttons
+   */
+  async chooseDepartment(bot, chatId, userId, ticketId, departmentId) {
+    try {
+      const session = sessionService.getSession(userId)
+      const pendingTicket = session.pendingTickets?.[ticketId]
 
-    // Extract description  
-    const descMatch = content.match(/📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n[🔴🟡🟢⚫]|\n📊|\n👤|$)/s)
-    fields.description = descMatch ? descMatch[1].trim() : ''
+      if (!pendingTicket) {
+        await bot.sendMessage(chatId, messages.errors.ticketNotFound)
+        return
+      }
 
-    // Extract priority
-    const priorityMatch = content.match(/[🔴🟡🟢⚫]\s*\*\*Пріоритет:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.priority = priorityMatch ? priorityMatch[1].trim() : 'Medium'
+      if (!ticketConfig.getDepartment(departmentId)) {
+        await bot.sendMessage(chatId, uiMessages.departments.unknown)
+        await this.showDepartmentChoice(bot, chatId, ticketId)
+        return
+      }
 
-    // Extract category
-    const categoryMatch = content.match(/📂\s*\*\*Категорія:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.category = categoryMatch ? categoryMatch[1].trim() : ''
+      pendingTicket.ticket = this.applyDepartmentChoice(pendingTicket.ticket, departmentId)
+      pendingTicket.expiresAt = this.getDraftExpiry()
+      pendingTicket.reminderSent = false
+      sessionService.updateSession(userId, session)
 
-    return fields
+      await this.resendDraftPreview(bot, chatId, userId, ticketId)
+    } catch (error) {
+      logger.error(`Error choosing department for ticket ${ticketId} of user ${userId}:`, error)
+      await bot.sendMessage(chatId, messages.errors.generalError)
+    }
+  }
+
+  /**
+   * Set department chosen by the user, recording the choice when classification was uncertain
+   * @param {Object} ticket - ticket object
+   * @param {string} departmentId - configured department id
+   * @returns {Object} - updated ticket object
+   */
+  applyDepartmentChoice(ticket, departmentId) {
+    const department = ticketConfig.getDepartment(departmentId)
+    if (!department) {
+      return ticket
+    }
+
+    if (ticket.department_uncertain) {
+      departmentClassifier.recordChoice(ticket, department.id)
+      logger.info(`Department ${department.id} chosen for uncertain ticket ${ticket.ticket_id} (suggested ${ticket.department}, confidence ${ticket.department_confidence})`)
+    }
+
+    return {
+      ...ticket,
+      department: department.id,
+      department_source: 'user',
+      department_uncertain: false
+    }
   }
 
   /**
    * Get priority emoji based on priority level
    */
   getPriorityEmoji(priority) {
-    if (!priority) return '🟡'
-    const p = priority.toLowerCase()
-    if (p.includes('high') || p.includes('високий') || p.includes('высокий')) return '🔴'
-    if (p.includes('low') || p.includes('низький') || p.includes('низкий')) return '🟢'
-    if (p.includes('critical') || p.includes('критичний') || p.includes('критический')) return '⚫'
-    return '🟡'
+    return (ticketConfig.getPriority(priority) || ticketConfig.getDefaultPriority()).emoji
   }
 
   /**
@@ -964,9 +1565,15 @@ class MessageHandler {
    */
   async startFieldEditing(bot, chatId, userId, ticketId, fieldName) {
     try {
-      // Block editing of priority and category - system determines these automatically
-      if (fieldName === 'priority' || fieldName === 'category') {
-        await bot.sendMessage(chatId, '⚠️ **Це поле не редагується**\n\nПріоритет та категорія визначаються системою автоматично на основі змісту заявки.', { parse_mode: 'Markdown' })
+      // Block editing of priority - system determines it automatically
+      if (fieldName === 'priority') {
+        await bot.sendMessage(chatId, uiMessages.fieldEditor.priorityLocked, { parse_mode: 'Markdown' })
+        return
+      }
+
+      // Category is chosen from the configured list
+      if (fieldName === 'category') {
+        await this.showCategoryChoice(bot, chatId, ticketId)
         return
       }
 
@@ -981,11 +1588,11 @@ class MessageHandler {
       sessionService.updateSession(userId, session)
 
       // Show appropriate input prompt based on field type
-      const instruction = messages.tickets.fieldEditInstructions[fieldName]
+      const instruction = messages.tickets.fieldEditInstructions[fieldName] || uiMessages.details.instructions[fieldName]
       if (instruction) {
         await bot.sendMessage(chatId, instruction, { parse_mode: 'Markdown' })
       } else {
-        await bot.sendMessage(chatId, `✏️ Введіть нове значення для поля "${fieldName}":`)
+        await bot.sendMessage(chatId, uiMessages.fieldEditor.enterValue(this.getFieldDisplayName(fieldName)))
       }
 
     } catch (error) {
@@ -999,9 +1606,21 @@ class MessageHandler {
    */
   async setFieldValue(bot, chatId, userId, ticketId, fieldName, newValue) {
     try {
-      // Block editing of priority and category
-      if (fieldName === 'priority' || fieldName === 'category') {
-        await bot.sendMessage(chatId, '⚠️ **Це поле не редагується**\n\nПріоритет та категорія визначаються системою автоматично.', { parse_mode: 'Markdown' })
+      // Block editing of priority
+      if (fieldName === 'priority') {
+        await bot.sendMessage(chatId, uiMessages.fieldEditor.priorityLocked, { parse_mode: 'Markdown' })
+        return
+      }
+
+      if (fieldName === 'category' && !ticketConfig.getCategory(newValue)) {
+        await bot.sendMessage(chatId, uiMessages.categories.unknown)
+        await this.showCategoryChoice(bot, chatId, ticketId)
+        return
+      }
+
+      // Keep waiting for a value the due date parser understands
+      if (fieldName === 'deadline' && this.normalizeDetailValue(newValue) && !parseDueDate(newValue, new Date(), { requireCue: false })) {
+        await bot.sendMessage(chatId, uiMessages.details.invalidDeadline)
         return
       }
 
@@ -1013,20 +1632,22 @@ class MessageHandler {
         return
       }
 
-      // Update the specific field in ticket content
-      const updatedContent = this.updateTicketField(pendingTicket.content, fieldName, newValue)
-
-      // Update pending ticket
-      pendingTicket.content = updatedContent
+      // Update the specific field in ticket
+      pendingTicket.ticket = this.updateTicketField(pendingTicket.ticket, fieldName, newValue)
       pendingTicket.lastModified = new Date().toISOString()
+      pendingTicket.expiresAt = this.getDraftExpiry()
+      pendingTicket.reminderSent = false
       session.pendingTickets[ticketId] = pendingTicket
 
       // Reset editing mode to field selection
+      if (!session.editingTicket) {
+        session.editingTicket = { ticketId }
+      }
       session.editingTicket.mode = 'fields'
       sessionService.updateSession(userId, session)
 
       // Show success message
-      await bot.sendMessage(chatId, `✅ Поле "${this.getFieldDisplayName(fieldName)}" оновлено!`)
+      await bot.sendMessage(chatId, uiMessages.fieldEditor.updated(this.getFieldDisplayName(fieldName)))
 
       // Return to field editing view
       await this.showTicketWithEditButtons(bot, chatId, userId, ticketId, pendingTicket)
@@ -1038,126 +1659,60 @@ class MessageHandler {
   }
 
   /**
-   * Update a specific field in ticket content
+   * Update a specific field in ticket
+   * @param {Object} ticket - ticket object
+   * @param {string} fieldName - field name
+   * @param {string} newValue - new field value
+   * @returns {Object} - updated ticket object
    */
-  updateTicketField(content, fieldName, newValue) {
+  updateTicketField(ticket, fieldName, newValue) {
     switch (fieldName) {
       case 'title':
-        return content.replace(/📝\s*\*\*Заголовок:\*\*\s*[^\n]+/i, `📝 **Заголовок:** ${newValue}`)
-
       case 'description':
-        return content.replace(/📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n[🔴🟡🟢⚫]|\n📊|\n👤|$)/s, `📄 **Опис:** ${newValue}`)
-
       case 'priority':
-        const emoji = this.getPriorityEmoji(newValue)
-        return content.replace(/[🔴🟡🟢⚫]\s*\*\*Пріоритет:\*\*\s*[^\n]+/i, `${emoji} **Пріоритет:** ${newValue}`)
+        return { ...ticket, [fieldName]: newValue.trim() }
+
+      case 'category': {
+        const category = ticketConfig.getCategory(newValue)
+        return category ? { ...ticket, category: category.id } : ticket
+      }
 
-      case 'category':
-        return content.replace(/📂\s*\*\*Категорія:\*\*\s*[^\n]+/i, `📂 **Категорія:** ${newValue}`)
+      case 'deadline':
+        return { ...ticket, deadline: this.parseDeadlineValue(newValue, ticket.deadline) }
 
       default:
-        return content
+        if (this.detailFields.includes(fieldName)) {
+          return { ...ticket, [fieldName]: this.normalizeDetailValue(newValue) }
+        }
+        return ticket
     }
   }
 
   /**
-   * Get display name for field
+   * Empty value or "-" clears an extracted detail
    */
-  getFieldDisplayName(fieldName) {
-    const names = {
-      title: 'Заголовок',
-      description: 'Опис',
-      priority: 'Пріоритет',
-      category: 'Категорія'
-    }
-    return names[fieldName] || fieldName
+  normalizeDetailValue(value) {
+    const trimmed = (value || '').trim()
+    return trimmed && trimmed !== '-' ? trimmed : null
   }
 
   /**
-   * Convert ticket content from formatted display to editable plain text
+   * Parse user-entered due date, "-" or empty value clears it, unparsable value keeps the current one
+   * @returns {string|null} - ISO date string
    */
-  convertToEditableFormat(content) {
-    logger.info(`Converting to editable format: ${content.substring(0, 100)}...`)
-
-    const result = content
-      .replace(/📝\s*\*\*Заголовок:\*\*\s*/gi, 'Заголовок: ')
-      .replace(/📄\s*\*\*Опис:\*\*\s*/gi, 'Опис: ')
-      .replace(/[🔴🟡🟢⚫]\s*\*\*Пріоритет:\*\*\s*/gi, 'Пріоритет: ')
-      .replace(/👤\s*\*\*Користувач:\*\*\s*/gi, 'Користувач: ')
-      .replace(/📊\s*\*\*Категорія:\*\*\s*/gi, 'Категорія: ')
-      .replace(/💻\s*\*\*Відділ:\*\*\s*/gi, 'Відділ: ')
-      .replace(/📂\s*\*\*Категорія:\*\*\s*/gi, 'Категорія: ')
-      .replace(/🌐\s*\*\*Мова:\*\*\s*/gi, 'Мова: ')
-      .replace(/⏰\s*\*\*Створено:\*\*\s*/gi, 'Створено: ')
-      .replace(/✅\s*\*\*Статус:\*\*\s*/gi, 'Статус: ')
-      .replace(/📋\s*\*\*ID:\*\*\s*/gi, 'ID: ')
-      .replace(/\*\*/g, '') // Remove all bold formatting
-      .replace(/━+/g, '') // Remove separators
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('🎫') && !line.startsWith('⚠️'))
-      .join('\n')
-      .trim()
-
-    logger.info(`Converted result: ${result}`)
-    return result
+  parseDeadlineValue(value, currentDeadline) {
+    if (!this.normalizeDetailValue(value)) {
+      return null
+    }
+    const due = parseDueDate(value, new Date(), { requireCue: false })
+    return due ? due.toISOString() : currentDeadline || null
   }
 
   /**
-   * Convert editable plain text back to formatted ticket content
+   * Get display name for field
    */
-  convertFromEditableFormat(editableText) {
-    logger.info(`Converting from editable format: ${editableText}`)
-
-    const lines = editableText.split('\n').map(line => line.trim()).filter(line => line)
-    let content = ''
-
-    // Keep the same structure as original ticket
-    for (const line of lines) {
-      const lowerLine = line.toLowerCase()
-
-      if (lowerLine.startsWith('id:')) {
-        const id = line.substring(3).trim()
-        content += `📋 **ID:** ${id}\n`
-      } else if (lowerLine.startsWith('відділ:')) {
-        const dept = line.substring('відділ:'.length).trim()
-        content += `� **Відділ:** ${dept}\n`
-      } else if (lowerLine.startsWith('категорія:')) {
-        const category = line.substring('категорія:'.length).trim()
-        content += `� **Категорія:** ${category}\n`
-      } else if (lowerLine.startsWith('пріоритет:')) {
-        const priority = line.substring('пріоритет:'.length).trim()
-        let emoji = '🟡' // Default Medium
-
-        if (priority.toLowerCase().includes('high') || priority.toLowerCase().includes('високий') || priority.toLowerCase().includes('высокий')) {
-          emoji = '🔴'
-        } else if (priority.toLowerCase().includes('low') || priority.toLowerCase().includes('низький') || priority.toLowerCase().includes('низкий')) {
-          emoji = '🟢'
-        } else if (priority.toLowerCase().includes('critical') || priority.toLowerCase().includes('критичний') || priority.toLowerCase().includes('критический')) {
-          emoji = '⚫'
-        }
-
-        content += `${emoji} **Пріоритет:** ${priority}\n`
-      } else if (lowerLine.startsWith('заголовок:')) {
-        const title = line.substring('заголовок:'.length).trim()
-        content += `📝 **Заголовок:** ${title}\n`
-      } else if (lowerLine.startsWith('опис:')) {
-        const desc = line.substring('опис:'.length).trim()
-        content += `� **Опис:** ${desc}\n`
-      } else if (lowerLine.startsWith('мова:')) {
-        const lang = line.substring('мова:'.length).trim()
-        content += `🌐 **Мова:** ${lang}\n`
-      } else if (lowerLine.startsWith('створено:')) {
-        const created = line.substring('створено:'.length).trim()
-        content += `⏰ **Створено:** ${created}\n`
-      } else if (lowerLine.startsWith('статус:')) {
-        const status = line.substring('статус:'.length).trim()
-        content += `✅ **Статус:** ${status}\n`
-      }
-    }
-
-    logger.info(`Converted back to formatted content: ${content}`)
-    return content.trim()
+  getFieldDisplayName(fieldName) {
+    return uiMessages.ticketFields[fieldName] || fieldName
   }
 
   /**
@@ -1217,7 +1772,7 @@ class MessageHandler {
         }
       }
 
-      const ticketPreview = messages.tickets.preview(pendingTicket.content)
+      const ticketPreview = this.buildTicketPreview(pendingTicket)
 
       await bot.sendMessage(chatId, ticketPreview, {
         ...confirmationKeyboard,
@@ -1233,7 +1788,7 @@ class MessageHandler {
   /**
    * Create pending ticket for user confirmation
    */
-  async createPendingTicket(bot, chatId, userId, ticketContent, sourceType) {
+  async createPendingTicket(bot, chatId, userId, ticket, sourceType) {
     try {
       // Note: Ticket validation is now performed earlier in localAI.processText()
       // before this function is called, so no need to validate here
@@ -1250,10 +1805,13 @@ class MessageHandler {
       // Store pending ticket
       session.pendingTickets[ticketId] = {
         id: ticketId,
-        content: ticketContent,
+        ticket: ticket,
         sourceType: sourceType,
         createdAt: new Date().toISOString(),
-        userId: userId
+        expiresAt: this.getDraftExpiry(),
+        reminderSent: false,
+        userId: userId,
+        chatId: chatId
       }
       sessionService.updateSession(userId, session)
 
@@ -1273,7 +1831,36 @@ class MessageHandler {
       }
 
       // Send ticket preview with confirmation buttons
-      const ticketPreview = messages.tickets.preview(ticketContent)
+      let ticketPreview = this.buildTicketPreview(session.pendingTickets[ticketId])
+
+      // Uncertain classification: department buttons instead of the confirm button until the user chooses
+      if (ticket.department_uncertain) {
+        ticketPreview += `\n\n${uiMessages.departments.choose}`
+        confirmationKeyboard.reply_markup.inline_keyboard = [
+          ...this.getDepartmentChoiceRows(ticketId),
+          [{ text: messages.tickets.buttons.cancel, callback_data: `cancel_${ticketId}` }]
+        ]
+      }
+
+      // Rules with "warn" severity do not block the ticket, the user just sees the reason
+      for (const warning of ticket.validation_warnings || []) {
+        ticketPreview += `\n\n${uiMessages.validation.warning(warning.reason)}`
+      }
+
+      // Offer to add the text as a comment if it looks like an existing draft or ticket
+      const duplicate = await this.findDuplicate(session, ticket, ticketId)
+      if (duplicate) {
+        session.pendingTickets[ticketId].duplicateOf = duplicate
+        sessionService.updateSession(userId, session)
+
+        const label = duplicate.type === 'draft'
+          ? uiMessages.duplicates.draftLabel(duplicate.title)
+          : uiMessages.duplicates.ticketLabel(duplicate.number)
+        ticketPreview += `\n\n${uiMessages.duplicates.warning(label, Math.round(duplicate.score * 100))}`
+        confirmationKeyboard.reply_markup.inline_keyboard.push([
+          { text: uiMessages.duplicates.addAsComment, callback_data: `dupcomment_${ticketId}` }
+        ])
+      }
 
       const sentMessage = await bot.sendMessage(chatId, ticketPreview, {
         ...confirmationKeyboard,
@@ -1296,6 +1883,301 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Get expiry timestamp for a new or modified draft
+   * @returns {string} - ISO date string
+   */
+  getDraftExpiry() {
+    return new Date(Date.now() + botConfig.draftTtlMinutes * 60 * 1000).toISOString()
+  }
+
+  /**
+   * Send reminders for drafts that are about to expire and discard expired ones
+   * @param {Object} bot - bot instance
+   */
+  async checkDraftExpiry(bot) {
+    const now = Date.now()
+    const reminderWindow = botConfig.draftReminderMinutes * 60 * 1000
+
+    for (const session of sessionService.getSessionsWithDrafts()) {
+      for (const draft of Object.values(session.pendingTickets)) {
+        if (!draft.expiresAt) {
+          continue
+        }
+
+        const timeLeft = new Date(draft.expiresAt).getTime() - now
+        try {
+          await localization.run(sessionService.getLanguage(session.userId), async () => {
+            if (timeLeft <= 0) {
+              await this.expireDraft(bot, session, draft)
+            } else if (timeLeft <= reminderWindow && !draft.reminderSent) {
+              await this.sendDraftReminder(bot, session, draft, Math.ceil(timeLeft / 60000))
+            }
+          })
+        } catch (error) {
+          logger.error(`Draft expiry check failed for ticket ${draft.id} of user ${session.userId}:`, error.message)
+        }
+      }
+    }
+  }
+
+  /**
+   * Remind user about unconfirmed draft, moving confirmation buttons to the reminder
+   */
+  async sendDraftReminder(bot, session, draft, minutesLeft) {
+    const userId = session.userId
+    const chatId = draft.chatId || userId
+    const ticketId = draft.id
+
+    // Keep only one active keyboard per draft
+    await this.removeDraftKeyboard(bot, session, chatId, ticketId)
+
+    const { title } = draft.ticket
+    const sentMessage = await bot.sendMessage(chatId, uiMessages.drafts.expiryReminder(title, minutesLeft), {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: messages.tickets.buttons.confirm, callback_data: `confirm_${ticketId}` },
+            { text: messages.tickets.buttons.cancel, callback_data: `cancel_${ticketId}` }
+          ]
+        ]
+      },
+      parse_mode: 'Markdown'
+    })
+
+    if (!session.messages) {
+      session.messages = {}
+    }
+    session.messages[ticketId] = sentMessage.message_id
+    draft.reminderSent = true
+    sessionService.updateSession(userId, session)
+
+    logger.info(`Expiry reminder sent for draft ${ticketId} of user ${userId}`)
+  }
+
+  /**
+   * Discard expired draft and remove its stale inline keyboard
+   */
+  async expireDraft(bot, session, draft) {
+    const userId = session.userId
+    const chatId = draft.chatId || userId
+    const ticketId = draft.id
+
+    delete session.pendingTickets[ticketId]
+    if (session.editingTicket?.ticketId === ticketId) {
+      session.editingTicket = null
+    }
+    sessionService.updateSession(userId, session)
+
+    await this.removeDraftKeyboard(bot, session, chatId, ticketId)
+
+    const { title } = draft.ticket
+    await bot.sendMessage(chatId, uiMessages.drafts.expired(title), { parse_mode: 'Markdown' })
+
+    logger.info(`Draft ${ticketId} of user ${userId} expired and was discarded`)
+  }
+
+  /**
+   * Remove inline keyboard from the message stored for the draft
+   */
+  async removeDraftKeyboard(bot, session, chatId, ticketId) {
+    const messageId = session.messages?.[ticketId]
+    if (!messageId) {
+      return
+    }
+
+    try {
+      await bot.editMessageReplyMarkup(null, { chat_id: chatId, message_id: messageId })
+      logger.info(`Inline keyboard removed for message ${messageId}`)
+    } catch (error) {
+      logger.warn(`Failed to remove inline keyboard for message ${messageId}: ${error.message}`)
+    }
+
+    delete session.messages[ticketId]
+    sessionService.updateSession(session.userId, session)
+  }
+
+  /**
+   * Retry queued tickets whose backoff has elapsed and notify users about the outcome
+   * @param {Object} bot - bot instance
+   */
+  async processOutbox(bot) {
+    if (this.outboxRunning) {
+      return
+    }
+    this.outboxRunning = true
+
+    try {
+      for (const entry of ticketOutbox.getDue()) {
+        try {
+          await localization.run(sessionService.getLanguage(entry.userId), () => this.retryQueuedTicket(bot, entry))
+        } catch (error) {
+          logger.error(`Outbox retry failed for ticket ${entry.id} of user ${entry.userId}:`, error.message)
+        }
+      }
+    } finally {
+      this.outboxRunning = false
+    }
+  }
+
+  async retryQueuedTicket(bot, entry) {
+    const { userId, chatId, ticket } = entry
+    const session = sessionService.getSession(userId)
+    const attachments = await this.loadDraftAttachments(bot, chatId, entry)
+
+    const creationResult = await ticketService.createTicket({
+      ticket,
+      telegramId: userId,
+      userInfo: session.userInfo,
+      attachments,
+      idempotencyKey: this.getIdempotencyKey(userId, entry.id)
+    })
+
+    if (creationResult.success) {
+      ticketOutbox.remove(entry.id)
+
+      const confirmationMessage = await bot.sendMessage(chatId, `${uiMessages.outbox.delivered(ticket.title)}\n\n${creationResult.message}`)
+      ticketMessages.remember(userId, confirmationMessage.message_id, creationResult.ticketId)
+
+      if (!session.sentTickets) {
+        session.sentTickets = []
+      }
+      session.sentTickets.push(entry.id)
+      this.rememberConfirmedDraft(session, entry.id, creationResult.ticketId)
+      this.rememberSentTicket(session, creationResult.ticketId, ticket)
+      this.learnDepartment(ticket)
+      sessionService.updateSession(userId, session)
+
+      logger.info(`Queued ticket ${entry.id} created as ${creationResult.ticketId} for user ${userId} after ${entry.attempts + 1} attempts`)
+      return
+    }
+
+    const willRetry = creationResult.retryable && ticketOutbox.markFailed(entry.id, creationResult.error)
+    if (!willRetry) {
+      ticketOutbox.remove(entry.id)
+      await bot.sendMessage(chatId, uiMessages.outbox.gaveUp(ticket.title, ticket.description))
+      logger.warn(`Gave up creating queued ticket ${entry.id} for user ${userId}: ${creationResult.error}`)
+    }
+  }
+
+  /**
+   * Remember recently sent ticket for duplicate detection
+   */
+  rememberSentTicket(session, serviceDeskId, ticket) {
+    if (!session.recentTickets) {
+      session.recentTickets = []
+    }
+    session.recentTickets.push({
+      id: serviceDeskId,
+      title: ticket.title,
+      description: ticket.description,
+      department: ticket.department,
+      createdAt: new Date().toISOString()
+    })
+    session.recentTickets = session.recentTickets.slice(-20)
+  }
+
+  /**
+   * Find the most similar recent draft, sent ticket or open department ticket
+   * @param {Object} session - user session
+   * @param {Object} ticket - new ticket object
+   * @param {string} ticketId - new draft id (excluded from comparison)
+   * @returns {Promise<Object|null>} - {type, id, number, title, score}
+   */
+  async findDuplicate(session, ticket, ticketId) {
+    const text = `${ticket.title} ${ticket.description}`
+    const candidates = []
+
+    for (const draft of Object.values(session.pendingTickets || {})) {
+      if (draft.id !== ticketId && draft.ticket) {
+        candidates.push({ type: 'draft', id: draft.id, title: draft.ticket.title, text: `${draft.ticket.title} ${draft.ticket.description}` })
+      }
+    }
+
+    for (const sent of session.recentTickets || []) {
+      candidates.push({ type: 'ticket', id: sent.id, number: sent.id, title: sent.title, text: `${sent.title} ${sent.description}` })
+    }
+
+    if (process.env.DUPLICATE_CHECK_OPEN_TICKETS === 'true') {
+      const openTickets = await ticketService.getOpenTickets(ticket.department)
+      for (const open of openTickets) {
+        candidates.push({ type: 'ticket', id: open.id, number: open.number, title: open.title, text: `${open.title} ${open.description}` })
+      }
+    }
+
+    let best = null
+    for (const candidate of candidates) {
+      const score = similarity(text, candidate.text)
+      if (score >= this.duplicateThreshold && (!best || score > best.score)) {
+        best = { type: candidate.type, id: candidate.id, number: candidate.number, title: candidate.title, score }
+      }
+    }
+
+    if (best) {
+      logger.info(`Possible duplicate for draft ${ticketId}: ${best.type} ${best.id} (score ${best.score.toFixed(2)})`)
+    }
+
+    return best
+  }
+
+  /**
+   * Add new draft as a comment to the similar draft or ticket instead of creating a new ticket
+   */
+  async addDraftAsComment(bot, chatId, userId, ticketId) {
+    try {
+      const session = sessionService.getSession(userId)
+      const pendingTicket = session.pendingTickets?.[ticketId]
+
+      if (!pendingTicket || !pendingTicket.duplicateOf) {
+        await bot.sendMessage(chatId, messages.errors.ticketNotFound)
+        return
+      }
+
+      const duplicate = pendingTicket.duplicateOf
+      const commentText = [pendingTicket.ticket.description, ...(pendingTicket.ticket.additional_info || [])].join('\n')
+
+      if (duplicate.type === 'draft') {
+        const target = session.pendingTickets[duplicate.id]
+        if (!target) {
+          await bot.sendMessage(chatId, uiMessages.duplicates.targetGone)
+          return
+        }
+
+        target.ticket = {
+          ...target.ticket,
+          additional_info: [...(target.ticket.additional_info || []), commentText]
+        }
+        target.attachments = [...(target.attachments || []), ...(pendingTicket.attachments || [])]
+        target.lastModified = new Date().toISOString()
+        target.expiresAt = this.getDraftExpiry()
+        target.reminderSent = false
+      } else {
+        const attachments = await this.loadDraftAttachments(bot, chatId, pendingTicket)
+        const result = await ticketService.addArticle(duplicate.id, commentText, userId, attachments)
+        if (!result.success) {
+          await bot.sendMessage(chatId, uiMessages.followUp.error(duplicate.number))
+          return
+        }
+      }
+
+      delete session.pendingTickets[ticketId]
+      sessionService.updateSession(userId, session)
+      await this.removeDraftKeyboard(bot, session, chatId, ticketId)
+      logger.info(`Draft ${ticketId} of user ${userId} added as comment to ${duplicate.type} ${duplicate.id}`)
+
+      if (duplicate.type === 'draft') {
+        await bot.sendMessage(chatId, uiMessages.duplicates.addedToDraft(duplicate.title))
+        await this.resendDraftPreview(bot, chatId, userId, duplicate.id)
+      } else {
+        await bot.sendMessage(chatId, uiMessages.followUp.added(duplicate.number))
+      }
+
+    } catch (error) {
+      logger.error(`Error adding draft ${ticketId} as comment for user ${userId}:`, error)
+      await bot.sendMessage(chatId, messages.errors.generalError)
+    }
+  }
+
   /**
    * Fallback to ChatGPT when local services fail
    */
@@ -1320,6 +2202,208 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Handle /language command - choose interface language
+   */
+  async handleLanguage(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    // Check authentication for language command
+    const authResult = await authService.authorizeUser(userId)
+
+    if (!authResult.allowed) {
+      await bot.sendMessage(chatId, authResult.message)
+      return
+    }
+
+    const current = localization.getLanguage()
+    const keyboard = localization.languages.map(language => [{
+      text: `${language === current ? '✅ ' : ''}${localization.getLanguageName(language)}`,
+      callback_data: `language_${language}`
+    }])
+
+    await bot.sendMessage(chatId, uiMessages.language.choose, {
+      reply_markup: { inline_keyboard: keyboard }
+    })
+  }
+
+  /**
+   * Save interface language chosen with /language and confirm in that language
+   */
+  async setLanguage(bot, chatId, userId, language) {
+    const code = localization.normalize(language)
+    if (!code) {
+      await bot.sendMessage(chatId, uiMessages.language.unknown)
+      return
+    }
+
+    userPreferences.setLanguage(userId, code)
+    sessionService.updateSession(userId, { language: code })
+    // Cached welcome message was built in the previous language
+    this.authCache.delete(userId)
+    logger.info(`Interface language of user ${userId} changed to ${code}`)
+
+    await localization.run(code, () => bot.sendMessage(chatId, uiMessages.language.changed))
+  }
+
+  /**
+   * Handle /new command - offer ticket templates for common requests
+   */
+  async handleNew(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    // Check authentication for new command
+    const authResult = await authService.authorizeUser(userId)
+
+    if (!authResult.allowed) {
+      await bot.sendMessage(chatId, authResult.message)
+      return
+    }
+
+    const keyboard = ticketTemplates.templates.map(template => [
+      { text: `${template.emoji || '📝'} ${template.name}`, callback_data: `template_${template.id}` }
+    ])
+
+    await bot.sendMessage(chatId, uiMessages.templates.choose, {
+      reply_markup: { inline_keyboard: keyboard }
+    })
+  }
+
+  /**
+   * Remember selected template and ask user for the missing details
+   */
+  async selectTemplate(bot, chatId, userId, templateId) {
+    const template = ticketTemplates.getTemplate(templateId)
+    if (!template) {
+      await bot.sendMessage(chatId, uiMessages.templates.notFound)
+      return
+    }
+
+    const session = sessionService.getSession(userId)
+    session.activeTemplate = { id: template.id, selectedAt: new Date().toISOString() }
+    sessionService.updateSession(userId, session)
+
+    await bot.sendMessage(chatId, uiMessages.templates.askDetails(template.name, template.prompt), {
+      reply_markup: {
+        inline_keyboard: [[{ text: uiMessages.templates.cancel, callback_data: `templatecancel_${template.id}` }]]
+      },
+      parse_mode: 'Markdown'
+    })
+
+    logger.info(`User ${userId} selected ticket template ${template.id}`)
+  }
+
+  async cancelTemplate(bot, chatId, userId) {
+    const session = sessionService.getSession(userId)
+    if (session.activeTemplate) {
+      session.activeTemplate = null
+      sessionService.updateSession(userId, session)
+    }
+    await bot.sendMessage(chatId, uiMessages.templates.cancelled)
+  }
+
+  /**
+   * Build draft from the active template and user details, then continue with the usual preview
+   * @param {string} details - dictated or typed details
+   */
+  async handleTemplateDetails(bot, chatId, userId, details) {
+    const session = sessionService.getSession(userId)
+    const template = ticketTemplates.getTemplate(session.activeTemplate?.id)
+    const text = (details || '').trim()
+
+    if (template && !text) {
+      await bot.sendMessage(chatId, uiMessages.templates.emptyDetails)
+      return
+    }
+
+    session.activeTemplate = null
+    sessionService.updateSession(userId, session)
+
+    if (!template) {
+      await bot.sendMessage(chatId, uiMessages.templates.notFound)
+      return
+    }
+
+    const ticket = this.buildTemplateTicket(template, text, userId)
+
+    sessionService.addToHistory(userId, 'template_details', text)
+    sessionService.addToHistory(userId, 'ai_response', ticketParser.formatTicketForDisplay(ticket))
+
+    await this.createPendingTicket(bot, chatId, userId, ticket, 'template')
+  }
+
+  /**
+   * Ticket object pre-filled from template (department, category, priority, description skeleton)
+   */
+  buildTemplateTicket(template, details, userId) {
+    const ticket = ticketParser.parseTicket(details, template.title, userId)
+
+    return {
+      ...ticket,
+      // Ticket config may have been reloaded since templates were validated
+      department: (ticketConfig.getDepartment(template.department) || ticketConfig.getDefaultDepartment()).id,
+      department_source: 'template',
+      department_uncertain: false,
+      category: (ticketConfig.getCategory(template.category) || ticketConfig.getDefaultCategory()).id,
+      priority: (ticketConfig.getPriority(template.priority) || ticketConfig.getDefaultPriority()).id,
+      title: template.title,
+      description: ticketTemplates.fillDescription(template, details),
+      template_id: template.id
+    }
+  }
+
+  /**
+   * Handle /keywords <text> admin command - show which dictionary keywords match a sample text
+   */
+  async handleKeywords(bot, msg) {
+    const chatId = msg.chat.id
+    const userId = msg.from.id.toString()
+
+    // Check authentication for keywords command
+    const authResult = await authService.authorizeUser(userId)
+
+    if (!authResult.allowed) {
+      await bot.sendMessage(chatId, authResult.message)
+      return
+    }
+
+    if (!authService.isAdmin(userId)) {
+      logger.warn(`User ${userId} tried to use admin command /keywords`)
+      await bot.sendMessage(chatId, uiMessages.keywords.adminOnly)
+      return
+    }
+
+    const sample = msg.text.replace(/^\/keywords(@\S+)?/, '').trim()
+    if (!sample) {
+      await bot.sendMessage(chatId, uiMessages.keywords.usage)
+      return
+    }
+
+    const result = ticketParser.explainKeywords(sample)
+    const formatEntries = (entries) => entries
+      .filter(entry => entry.keywords.length > 0)
+      .map(entry => uiMessages.keywords.entry(entry.id, entry.keywords, entry.score))
+
+    const lines = [
+      uiMessages.keywords.header,
+      '',
+      uiMessages.keywords.department(result.department),
+      uiMessages.keywords.classification(result.classification.source, Math.round(result.classification.confidence * 100)),
+      ...formatEntries(result.departments),
+      '',
+      uiMessages.keywords.priority(result.priority),
+      ...formatEntries(result.priorities),
+      '',
+      uiMessages.keywords.category(result.category),
+      ...formatEntries(result.categories)
+    ]
+
+    // Plain text: keywords may contain Markdown characters
+    await bot.sendMessage(chatId, lines.join('\n'))
+  }
+
   /**
    * Handle /clear command
    */
@@ -1335,6 +2419,7 @@ class MessageHandler {
       return
     }
 
+    // The language chosen with /language is kept in user preferences
     sessionService.clearSession(userId)
     await bot.sendMessage(chatId, messages.success.historyCleared)
   }
@@ -1,8 +1,10 @@
 const { bot } = require('./config/bot')
 const messageHandler = require('./handlers/messageHandler')
 const sessionService = require('./services/session')
+const webhookServer = require('./services/webhookServer')
 const logger = require('./utils/logger')
-const messages = require('../data/messages')
+const { redactText } = require('./utils/redactor')
+const { messages } = require('./services/localization')
 const logMessages = require('../data/logMessages')
 require('dotenv').config()
 
@@ -10,7 +12,7 @@ logger.info('🤖 AI Dialog Bot starting...')
 
 bot.on('message', async (msg) => {
   try {
-    console.log('DEBUG: Message received:', msg.text || 'voice/other')
+    console.log('DEBUG: Message received:', redactText(msg.text) || 'voice/other')
     await messageHandler.handleMessage(bot, msg)
   } catch (error) {
     logger.error(logMessages.general.messageHandlingError, error)
@@ -41,13 +43,27 @@ bot.on('polling_error', (error) => {
   }
 })
 
+webhookServer.start(bot)
+
 setInterval(() => {
   sessionService.cleanupInactiveSessions()
 }, 30 * 60 * 1000)
 
-process.on('SIGINT', () => {
-  logger.info('🛑 Bot stopping gracefully...')
-  bot.stopPolling()
+setInterval(() => {
+  messageHandler.checkDraftExpiry(bot)
+    .catch(err => logger.error('Draft expiry check failed:', err))
+}, 60 * 1000)
+
+setInterval(() => {
+  messageHandler.processOutbox(bot)
+    .catch(err => logger.error('Ticket outbox processing failed:', err))
+}, 30 * 1000)
+
+// SIGTERM is what Docker, systemd and pm2 send on restart
+function shutdown(signal) {
+  logger.info(`🛑 Bot stopping gracefully (${signal})...`)
+  sessionService.flush()
+  Promise.all([bot.stopPolling(), webhookServer.stop()])
     .then(() => {
       logger.info('✅ Bot stopped successfully')
       process.exit(0)
@@ -56,7 +72,13 @@ process.on('SIGINT', () => {
       logger.error('Error stopping bot:', err)
       process.exit(1)
     })
-})
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'))
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+
+// Delayed session writes would be lost when the event loop simply runs out
+process.on('beforeExit', () => sessionService.flush())
 
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Rejection at:', promise, 'reason:', reason)
@@ -64,6 +86,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception:', error)
+  sessionService.flush()
   process.exit(1)
 })
 
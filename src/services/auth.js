@@ -1,7 +1,7 @@
 const axios = require('axios')
 const https = require('https')
 const logger = require('../utils/logger')
-const messages = require('../../data/messages')
+const { messages } = require('./localization')
 const logMessages = require('../../data/logMessages')
 require('dotenv').config()
 
@@ -10,6 +10,10 @@ class AuthService {
     this.zammadApiUrl = process.env.ZAMMAD_API_URL || 'https://127.0.0.1:8001/api/check-user'
     this.mode = process.env.MODE || 'debug'
     this.timeout = 10000 // 10 seconds timeout
+    this.adminIds = (process.env.ADMIN_TELEGRAM_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
   }
 
   /**
@@ -108,6 +112,15 @@ class AuthService {
     return this.mode
   }
 
+  /**
+   * Check if user may run admin commands (ADMIN_TELEGRAM_IDS)
+   * @param {string} telegramId - telegram user id
+   * @returns {boolean}
+   */
+  isAdmin(telegramId) {
+    return this.adminIds.includes(String(telegramId))
+  }
+
   /**
    * Check if user is allowed to use the bot
    * @param {string} telegramId - telegram user id
@@ -1,5 +1,6 @@
 const OpenAI = require('openai')
 const logger = require('../utils/logger')
+const { redactText } = require('../utils/redactor')
 require('dotenv').config()
 
 class ChatGPTService {
@@ -32,7 +33,7 @@ class ChatGPTService {
           },
           {
             role: 'user',
-            content: userMessage
+            content: redactText(userMessage)
           }
         ],
         max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
@@ -69,7 +70,7 @@ class ChatGPTService {
           },
           {
             role: 'user',
-            content: `Question: ${originalQuestion}\nUser's answer: ${userAnswer}\n\nAnalyze and supplement if necessary:`
+            content: `Question: ${redactText(originalQuestion)}\nUser's answer: ${redactText(userAnswer)}\n\nAnalyze and supplement if necessary:`
           }
         ],
         max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
@@ -0,0 +1,272 @@
+const fs = require('fs')
+const path = require('path')
+const logger = require('../utils/logger')
+const { prepareText } = require('../utils/keywordMatcher')
+const { redactText } = require('../utils/redactor')
+require('dotenv').config()
+
+// Delay before reloading the model after a change, a retrain may write it in several steps
+const RELOAD_DELAY = 500
+
+/**
+ * Naive Bayes department classifier over stemmed words and word bigrams.
+ * Learns from confirmed tickets (final department after user edits), every example
+ * is also appended to the training history so the model can be rebuilt by
+ * scripts/trainDepartmentClassifier.js. The model file is watched, so a model rebuilt
+ * while the bot is running is picked up instead of being overwritten by the next ticket
+ */
+class DepartmentClassifier {
+  constructor() {
+    this.enabled = process.env.DEPARTMENT_CLASSIFIER !== 'false'
+    this.modelPath = process.env.CLASSIFIER_MODEL_PATH || path.join(__dirname, '../../data/departmentModel.json')
+    this.historyPath = process.env.CLASSIFIER_HISTORY_PATH || path.join(__dirname, '../../data/departmentHistory.jsonl')
+    this.choicesPath = process.env.CLASSIFIER_CHOICES_PATH || path.join(__dirname, '../../data/departmentChoices.jsonl')
+    this.minExamples = parseInt(process.env.CLASSIFIER_MIN_EXAMPLES) || 20
+    this.model = this.emptyModel()
+    // Modification time of the model file written by this process, to skip reloading own saves
+    this.savedModelTime = null
+    this.watcher = null
+    this.reloadTimer = null
+    this.loadModel()
+
+    if (this.enabled && process.env.CLASSIFIER_MODEL_WATCH !== 'false') {
+      this.watch()
+    }
+  }
+
+  /**
+   * Watch model directory (the model is replaced with rename, which breaks watching the file itself)
+   */
+  watch() {
+    const fileName = path.basename(this.modelPath)
+    try {
+      fs.mkdirSync(path.dirname(this.modelPath), { recursive: true })
+      this.watcher = fs.watch(path.dirname(this.modelPath), (eventType, changedFile) => {
+        if (changedFile === fileName) {
+          this.scheduleReload()
+        }
+      })
+      this.watcher.unref()
+    } catch (error) {
+      logger.warn(`Department classifier watching is not available for ${this.modelPath}: ${error.message}`)
+    }
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer)
+    this.reloadTimer = setTimeout(() => this.reloadModel(), RELOAD_DELAY)
+    this.reloadTimer.unref()
+  }
+
+  /**
+   * Reload the model if another process (the retrain script) has written it
+   */
+  reloadModel() {
+    let modelTime
+    try {
+      modelTime = fs.statSync(this.modelPath).mtimeMs
+    } catch (error) {
+      return
+    }
+
+    if (modelTime !== this.savedModelTime) {
+      this.loadModel()
+      this.savedModelTime = modelTime
+    }
+  }
+
+  emptyModel() {
+    return { docCounts: {}, tokenCounts: {}, totalTokens: {}, vocabularySize: 0 }
+  }
+
+  loadModel() {
+    if (!fs.existsSync(this.modelPath)) {
+      return
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.modelPath, 'utf8'))
+      this.model = { ...this.emptyModel(), ...raw }
+      logger.info(`Department classifier loaded: ${this.getExampleCount()} examples`)
+    } catch (error) {
+      logger.error(`Failed to load department classifier from ${this.modelPath}:`, error.message)
+    }
+  }
+
+  saveModel() {
+    try {
+      fs.mkdirSync(path.dirname(this.modelPath), { recursive: true })
+      const tempPath = `${this.modelPath}.tmp`
+      fs.writeFileSync(tempPath, JSON.stringify(this.model), 'utf8')
+      fs.renameSync(tempPath, this.modelPath)
+      this.savedModelTime = fs.statSync(this.modelPath).mtimeMs
+    } catch (error) {
+      logger.error(`Failed to save department classifier to ${this.modelPath}:`, error.message)
+    }
+  }
+
+  /**
+   * Features: stems longer than one letter and bigrams of consecutive stems
+   * @param {string} text - ticket text
+   * @returns {Array<string>} - features
+   */
+  extractFeatures(text) {
+    const stems = prepareText(text).stems.filter(s => s.length > 1)
+    const bigrams = stems.slice(1).map((s, i) => `${stems[i]} ${s}`)
+    return [...stems, ...bigrams]
+  }
+
+  getExampleCount() {
+    return Object.values(this.model.docCounts).reduce((sum, count) => sum + count, 0)
+  }
+
+  /**
+   * Model is used only with enough examples of at least two departments
+   */
+  isTrained() {
+    return this.enabled &&
+      this.getExampleCount() >= this.minExamples &&
+      Object.keys(this.model.docCounts).length >= 2
+  }
+
+  addExample(text, department) {
+    const { docCounts, tokenCounts, totalTokens } = this.model
+    docCounts[department] = (docCounts[department] || 0) + 1
+    tokenCounts[department] = tokenCounts[department] || {}
+    totalTokens[department] = totalTokens[department] || 0
+
+    for (const feature of this.extractFeatures(text)) {
+      tokenCounts[department][feature] = (tokenCounts[department][feature] || 0) + 1
+      totalTokens[department]++
+    }
+  }
+
+  updateVocabularySize() {
+    const vocabulary = new Set()
+    for (const counts of Object.values(this.model.tokenCounts)) {
+      Object.keys(counts).forEach(feature => vocabulary.add(feature))
+    }
+    this.model.vocabularySize = vocabulary.size
+  }
+
+  /**
+   * Learn from a confirmed ticket and record it in training history
+   * @param {string} text - ticket text
+   * @param {string} department - final department id
+   */
+  learn(text, department) {
+    if (!this.enabled || !text || !department) {
+      return
+    }
+
+    // Dictated passwords, cards, phones and emails never reach the history file
+    const safeText = redactText(text)
+    this.appendLine(this.historyPath, { text: safeText, department, createdAt: new Date().toISOString() })
+    this.addExample(safeText, department)
+    this.updateVocabularySize()
+    this.saveModel()
+  }
+
+  /**
+   * Record department chosen by the user when classification was uncertain (for threshold and keyword tuning)
+   * @param {Object} ticket - ticket with the suggested department and its confidence
+   * @param {string} department - department chosen by the user
+   */
+  recordChoice(ticket, department) {
+    this.appendLine(this.choicesPath, {
+      text: redactText(ticket.description),
+      suggested: ticket.department,
+      confidence: ticket.department_confidence ?? null,
+      source: ticket.department_source || null,
+      chosen: department,
+      createdAt: new Date().toISOString()
+    })
+  }
+
+  appendLine(filePath, record) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf8')
+    } catch (error) {
+      logger.error(`Failed to append to ${filePath}:`, error.message)
+    }
+  }
+
+  /**
+   * Rebuild model from scratch
+   * @param {Array<Object>} examples - {text, department}
+   */
+  train(examples) {
+    this.model = this.emptyModel()
+    for (const { text, department } of examples) {
+      if (text && department) {
+        this.addExample(text, department)
+      }
+    }
+    this.updateVocabularySize()
+  }
+
+  /**
+   * Read training examples stored by learn()
+   * @returns {Array<Object>} - {text, department, createdAt}
+   */
+  loadHistory() {
+    if (!fs.existsSync(this.historyPath)) {
+      return []
+    }
+
+    return fs.readFileSync(this.historyPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line)
+        } catch (error) {
+          logger.warn(`Skipping invalid line ${i + 1} in ${this.historyPath}`)
+          return null
+        }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Predict department with confidence (posterior probability of the best department)
+   * @param {string} text - ticket text
+   * @param {Array<string>} departments - allowed department ids
+   * @returns {Object|null} - {department, confidence, scores} or null when the model is untrained
+   */
+  predict(text, departments = Object.keys(this.model.docCounts)) {
+    if (!this.isTrained()) {
+      return null
+    }
+
+    const { docCounts, tokenCounts, totalTokens, vocabularySize } = this.model
+    const candidates = departments.filter(department => docCounts[department])
+    if (candidates.length === 0) {
+      return null
+    }
+
+    const features = this.extractFeatures(text)
+    const exampleCount = this.getExampleCount()
+
+    const logScores = candidates.map(department => {
+      let score = Math.log(docCounts[department] / exampleCount)
+      for (const feature of features) {
+        const count = tokenCounts[department][feature] || 0
+        score += Math.log((count + 1) / (totalTokens[department] + vocabularySize + 1))
+      }
+      return score
+    })
+
+    // Softmax over log scores
+    const maxLog = Math.max(...logScores)
+    const weights = logScores.map(score => Math.exp(score - maxLog))
+    const total = weights.reduce((sum, weight) => sum + weight, 0)
+    const scores = candidates.map((department, i) => ({ department, probability: weights[i] / total }))
+      .sort((a, b) => b.probability - a.probability)
+
+    return { department: scores[0].department, confidence: scores[0].probability, scores }
+  }
+}
+
+module.exports = new DepartmentClassifier()
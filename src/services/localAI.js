@@ -1,103 +1,79 @@
 const axios = require('axios')
-const FormData = require('form-data')
-const fs = require('fs')
 const logger = require('../utils/logger')
-const messages = require('../../data/messages')
+const { messages } = require('./localization')
 const logMessages = require('../../data/logMessages')
 const serviceErrors = require('../../data/serviceErrors')
 const ticketParser = require('./ticketParser')
+const { createSpeechProvider } = require('./speechProviders')
 const postAiCorrections = require('../../data/postAiCorrections')
 const buildQwenRequest = require('../../data/ai-requests').buildQwenRequest
 require('dotenv').config()
 
 class LocalAIService {
   constructor() {
-    this.speechToTextUrl = process.env.SPEECH_TO_TEXT_URL || 'http://localhost:8338/update/'
+    this.speechProvider = createSpeechProvider()
     this.textProcessingUrl = process.env.TEXT_PROCESSING_URL || 'http://localhost:8344/process/'
-    this.speechTimeout = parseInt(process.env.SPEECH_TIMEOUT) || 60000 // 60 seconds
     this.textTimeout = parseInt(process.env.TEXT_TIMEOUT) || 30000 // 30 seconds
     this.aiTimeout = parseInt(process.env.AI_TIMEOUT) || 180000 // 180 seconds
   }
 
   /**
-   * Converts voice message to text using local speech-to-text service
+   * Converts voice message to text with the configured speech-to-text provider
    * @param {string} voiceFilePath - path to voice file
    * @param {string} clientId - telegram user id
    * @param {number} segmentNumber - message number in dialog
-   * @returns {Promise<string>} - transcribed text
+   * @returns {Promise<Object>} - {text, language, segments: [{start, end, text}], raw}
    */
-  async speechToText(voiceFilePath, clientId, segmentNumber) {
+  async transcribe(voiceFilePath, clientId, segmentNumber) {
     try {
       logger.info(logMessages.processing.speechToText(clientId, segmentNumber))
 
-      const formData = new FormData()
-      formData.append('clientId', clientId)
-      formData.append('segment_number', segmentNumber.toString())
-      formData.append('file', fs.createReadStream(voiceFilePath))
-
-      const response = await axios.post(this.speechToTextUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-        },
-        timeout: this.speechTimeout,
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      })
+      const result = await this.speechProvider.transcribe(voiceFilePath, { clientId, segmentNumber })
 
-      // Handle different response formats
-      let transcribedText
-      if (typeof response.data === 'string') {
-        // Try to parse JSON string first
-        try {
-          const parsedData = JSON.parse(response.data)
-          transcribedText = parsedData.translated_text ||
-            parsedData.text ||
-            parsedData.transcription ||
-            parsedData.result ||
-            parsedData.transcript ||
-            response.data
-        } catch (parseError) {
-          transcribedText = response.data
-        }
-      } else if (response.data && typeof response.data === 'object') {
-        transcribedText = response.data.translated_text ||
-          response.data.text ||
-          response.data.transcription ||
-          response.data.result ||
-          response.data.transcript ||
-          JSON.stringify(response.data)
-      } else {
-        transcribedText = String(response.data)
-      }
+      logger.info(logMessages.processing.speechResult(clientId, result.text))
+      logger.info(`Speech provider ${this.speechProvider.name} for user ${clientId}: language=${result.language || 'unknown'}, segments=${result.segments.length}`)
 
-      logger.info(logMessages.processing.speechResult(clientId, transcribedText))
-
-      return transcribedText
+      return result
     } catch (error) {
       if (process.env.DEBUG_LEVEL !== 'info') {
         logger.error(logMessages.services.speechToTextError, error)
       }
-      if (error.code === 'ECONNREFUSED') {
+      // ENOENT: whisper.cpp or ffmpeg binary not found, killed: CLI run exceeded the timeout
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOENT') {
         throw new Error(serviceErrors.speech.unavailable)
       }
-      if (error.code === 'ETIMEDOUT') {
+      if (error.code === 'ETIMEDOUT' || error.killed) {
         throw new Error(serviceErrors.speech.timeout)
       }
       throw new Error(serviceErrors.speech.failed)
     }
   }
 
+  /**
+   * Converts voice message to text
+   * @param {string} voiceFilePath - path to voice file
+   * @param {string} clientId - telegram user id
+   * @param {number} segmentNumber - message number in dialog
+   * @returns {Promise<string>} - transcribed text
+   */
+  async speechToText(voiceFilePath, clientId, segmentNumber) {
+    const result = await this.transcribe(voiceFilePath, clientId, segmentNumber)
+    return result.text
+  }
+
   /**
    * Processes text using local AI model (parsing, translation, etc.)
    * @param {string} text - text to process
    * @param {string} clientId - telegram user id
-   * @returns {Promise<string>} - processed text result
+   * @param {string|null} speechLanguage - language detected by the speech provider (voice messages only)
+   * @returns {Promise<Object>} - parsed ticket object
    */
-  async processText(text, clientId) {
+  async processText(text, clientId, speechLanguage = null) {
     try {
       logger.info(logMessages.processing.textProcessing(clientId, text))
       let textResult = text
       let topicResult = ''
+      let aiCategory = ''
 
       if (process.env.ENABLE_LOCAL_AI === 'true') {
         const _localAiStart = Date.now()
@@ -119,6 +95,7 @@ class LocalAIService {
           const parsed = JSON.parse(response.data.response)
           textResult = parsed.text || text
           topicResult = parsed.topic || ''
+          aiCategory = parsed.category || ''
         } catch (e) {
           const _localAiDuration = Date.now() - _localAiStart
           logger.warn(`Local AI failed for user ${clientId} after ${_localAiDuration}ms: ${e.message}`)
@@ -138,27 +115,29 @@ class LocalAIService {
       }
 
       const validation = ticketParser.validateTicketContent(textResult)
+      if (validation.appliedRules.length > 0) {
+        logger.info(`Validation rules for user ${clientId}: ${validation.appliedRules.join(', ')}`)
+      }
       if (!validation.isValid) {
         logger.warn(`Ticket validation failed for user ${clientId}: ${validation.reason}`)
         throw new Error(`VALIDATION_FAILED: ${validation.reason}`)
       }
 
-      const ticket = ticketParser.parseTicket(textResult, topicResult, clientId)
-      const formattedTicket = ticketParser.formatTicketForDisplay(ticket)
+      const ticket = ticketParser.parseTicket(textResult, topicResult, clientId, aiCategory, speechLanguage)
+      ticket.validation_warnings = validation.warnings
       logger.info(logMessages.processing.ticketParsing(clientId, text))
-      logger.info(logMessages.processing.textResult(clientId, formattedTicket))
+      logger.info(logMessages.processing.textResult(clientId, ticketParser.formatTicketForDisplay(ticket)))
 
-      return formattedTicket
+      return ticket
     } catch (error) {
       if (error.message && error.message.startsWith('VALIDATION_FAILED:')) {
         throw error
       }
       logger.warn(`External AI service failed, using ticket parser result: ${error.message}`)
 
-      const ticket = ticketParser.parseTicket(text, '', clientId)
-      const formattedTicket = ticketParser.formatTicketForDisplay(ticket)
-      logger.info(logMessages.processing.textResult(clientId, formattedTicket))
-      return formattedTicket
+      const ticket = ticketParser.parseTicket(text, '', clientId, '', speechLanguage)
+      logger.info(logMessages.processing.textResult(clientId, ticketParser.formatTicketForDisplay(ticket)))
+      return ticket
     }
   }
 
@@ -169,17 +148,18 @@ class LocalAIService {
    * @param {number} segmentNumber - message number in dialog
    * @param {Object} bot - telegram bot instance (optional, for debug)
    * @param {string} chatId - telegram chat id (optional, for debug)
-   * @returns {Promise<string>} - final processed result
+   * @returns {Promise<Object>} - parsed ticket object
    */
   async processVoiceMessage(voiceFilePath, clientId, segmentNumber, bot = null, chatId = null) {
     try {
       console.log('DEBUG: processVoiceMessage called for client:', clientId)
       // Step 1: Convert voice to text
-      const { transcribedText, rawResponse } = await this.speechToTextWithDebug(voiceFilePath, clientId, segmentNumber)
+      const transcription = await this.transcribe(voiceFilePath, clientId, segmentNumber)
+      const transcribedText = transcription.text
 
       // Always log full debug info to file
       if (process.env.DEBUG_LEVEL === 'info') {
-        logger.info(`Debug - Full response for client ${clientId}: ${JSON.stringify(rawResponse, null, 2)}`)
+        logger.info(`Debug - Full response for client ${clientId}: ${JSON.stringify(transcription.raw, null, 2)}`)
       }
 
       // Send only useful message to user in Telegram
@@ -195,7 +175,7 @@ class LocalAIService {
       }
 
       // Step 2: Process the text
-      const processedResult = await this.processText(transcribedText, clientId)
+      const processedResult = await this.processText(transcribedText, clientId, transcription.language)
 
       return processedResult
     } catch (error) {
@@ -204,76 +184,11 @@ class LocalAIService {
     }
   }
 
-  /**
-   * Helper method for speech to text with debug info
-   */
-  async speechToTextWithDebug(voiceFilePath, clientId, segmentNumber) {
-    try {
-      console.log('DEBUG: speechToTextWithDebug called for client:', clientId)
-      logger.info(logMessages.processing.speechToText(clientId, segmentNumber))
-
-      const formData = new FormData()
-      formData.append('clientId', clientId)
-      formData.append('segment_number', segmentNumber.toString())
-      formData.append('file', fs.createReadStream(voiceFilePath))
-
-      const response = await axios.post(this.speechToTextUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-        },
-        timeout: this.speechTimeout,
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      })
-
-      // Handle different response formats
-      let transcribedText
-      if (typeof response.data === 'string') {
-        // Try to parse JSON string first
-        try {
-          const parsedData = JSON.parse(response.data)
-          transcribedText = parsedData.translated_text ||
-            parsedData.text ||
-            parsedData.transcription ||
-            parsedData.result ||
-            parsedData.transcript ||
-            response.data
-        } catch (parseError) {
-          transcribedText = response.data
-        }
-      } else if (response.data && typeof response.data === 'object') {
-        transcribedText = response.data.translated_text ||
-          response.data.text ||
-          response.data.transcription ||
-          response.data.result ||
-          response.data.transcript ||
-          JSON.stringify(response.data)
-      } else {
-        transcribedText = String(response.data)
-      }
-
-      logger.info(logMessages.processing.speechResult(clientId, transcribedText))
-
-      return { transcribedText, rawResponse: response.data }
-    } catch (error) {
-      if (process.env.DEBUG_LEVEL !== 'info') {
-        logger.error(logMessages.services.speechToTextError, error)
-      }
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(serviceErrors.speech.unavailable)
-      }
-      if (error.code === 'ETIMEDOUT') {
-        throw new Error(serviceErrors.speech.timeout)
-      }
-      throw new Error(serviceErrors.speech.failed)
-    }
-  }
-
   /**
    * Process text message directly (skip speech-to-text)
    * @param {string} text - text message
    * @param {string} clientId - telegram user id
-   * @returns {Promise<string>} - processed result
+   * @returns {Promise<Object>} - parsed ticket object
    */
   async processTextMessage(text, clientId) {
     try {
@@ -296,10 +211,8 @@ class LocalAIService {
       textProcessing: false
     }
 
-    try {
-      await axios.get(this.speechToTextUrl.replace('/update/', '/health'), { timeout: 5000 })
-      status.speechToText = true
-    } catch (error) {
+    status.speechToText = await this.speechProvider.checkHealth()
+    if (!status.speechToText) {
       logger.warn(serviceErrors.health.speechToTextFailed)
     }
 
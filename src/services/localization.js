@@ -0,0 +1,147 @@
+const fs = require('fs')
+const path = require('path')
+const { AsyncLocalStorage } = require('async_hooks')
+const logger = require('../utils/logger')
+const baseMessages = require('../../data/messages')
+const baseUiMessages = require('../config/uiMessages')
+require('dotenv').config()
+
+// Interface languages with their names shown on the /language buttons
+const LANGUAGE_NAMES = {
+  uk: 'Українська',
+  ru: 'Русский',
+  en: 'English'
+}
+
+// Ukrainian catalogs are complete, keys missing in other languages fall back to them
+const BASE_LANGUAGE = 'uk'
+
+/**
+ * Catalog with the override values replacing the defaults key by key
+ */
+function mergeMessages(defaults, overrides) {
+  const merged = { ...defaults }
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value)
+    merged[key] = isObject && merged[key] && typeof merged[key] === 'object' ? mergeMessages(merged[key], value) : value
+  }
+  return merged
+}
+
+/**
+ * Per-user interface language. Handlers run inside run(language, fn), and the
+ * messages/uiMessages objects resolve every key in the language of the current user
+ */
+class Localization {
+  constructor() {
+    this.languages = Object.keys(LANGUAGE_NAMES)
+    this.defaultLanguage = this.normalize(process.env.DEFAULT_LANGUAGE) || BASE_LANGUAGE
+    this.storage = new AsyncLocalStorage()
+
+    this.catalogs = {
+      messages: {
+        uk: baseMessages,
+        ru: mergeMessages(require('../config/messages.ru'), this.loadOptional(path.join(__dirname, '../../data/messages.ru.js'))),
+        en: mergeMessages(require('../config/messages.en'), this.loadOptional(path.join(__dirname, '../../data/messages.en.js')))
+      },
+      ui: {
+        uk: baseUiMessages,
+        ru: require('../config/uiMessages.ru'),
+        en: require('../config/uiMessages.en')
+      }
+    }
+
+    this.messages = this.createCatalogProxy('messages', [])
+    this.uiMessages = this.createCatalogProxy('ui', [])
+  }
+
+  /**
+   * Deployment overrides of the shipped translations (data/messages.<language>.js), optional
+   */
+  loadOptional(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return {}
+    }
+
+    try {
+      return require(filePath)
+    } catch (error) {
+      logger.error(`Failed to load messages from ${filePath}:`, error.message)
+      return {}
+    }
+  }
+
+  /**
+   * Supported language code or null
+   */
+  normalize(language) {
+    const code = (language || '').toString().toLowerCase()
+    return this.languages.includes(code) ? code : null
+  }
+
+  /**
+   * Interface language for Telegram's language_code ("en-US" -> en).
+   * Unknown foreign languages get English, no code means the default language
+   * @param {string} languageCode - language_code of the Telegram user
+   * @returns {string} - supported language code
+   */
+  fromTelegram(languageCode) {
+    if (!languageCode) {
+      return this.defaultLanguage
+    }
+    return this.normalize(languageCode.split('-')[0]) || 'en'
+  }
+
+  getLanguageName(language) {
+    return LANGUAGE_NAMES[language] || language
+  }
+
+  /**
+   * Run function with messages resolved in the given language
+   * @param {string} language - language code
+   * @param {Function} fn - function to run
+   * @returns {*} - result of fn
+   */
+  run(language, fn) {
+    return this.storage.run({ language: this.normalize(language) || this.defaultLanguage }, fn)
+  }
+
+  /**
+   * Language of the current handler context
+   */
+  getLanguage() {
+    return this.storage.getStore()?.language || this.defaultLanguage
+  }
+
+  /**
+   * Value at the key path in the current language, Ukrainian value when missing
+   */
+  resolve(catalog, keys) {
+    const lookup = (language) => keys.reduce((value, key) => (value == null ? undefined : value[key]), this.catalogs[catalog][language])
+    const value = lookup(this.getLanguage())
+    return value === undefined ? lookup(BASE_LANGUAGE) : value
+  }
+
+  /**
+   * Object with the shape of the catalog whose leaf values (strings, functions) are
+   * looked up on access, so the same object serves every user
+   */
+  createCatalogProxy(catalog, keys) {
+    return new Proxy({}, {
+      get: (target, key) => {
+        if (typeof key === 'symbol') {
+          return target[key]
+        }
+
+        const keyPath = [...keys, key]
+        const value = this.resolve(catalog, keyPath)
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          return this.createCatalogProxy(catalog, keyPath)
+        }
+        return value
+      }
+    })
+  }
+}
+
+module.exports = new Localization()
@@ -1,11 +1,12 @@
 const logger = require('../utils/logger')
 const logMessages = require('../../data/logMessages')
+const { createSessionStore } = require('./sessionStore')
+const userPreferences = require('./userPreferences')
 
 class SessionService {
   constructor() {
-    // User sessions storage in memory
-    // In production, it's better to use Redis or database
-    this.sessions = new Map()
+    // User sessions storage, selected via SESSION_STORE (memory, file)
+    this.sessions = createSessionStore()
   }
 
   /**
@@ -38,6 +39,7 @@ class SessionService {
   updateSession(userId, updates) {
     const session = this.getSession(userId)
     Object.assign(session, updates, { lastActivity: new Date() })
+    this.sessions.set(userId, session)
     logger.debug(logMessages.sessions.updated(userId), updates)
   }
 
@@ -59,10 +61,21 @@ class SessionService {
     if (session.conversationHistory.length > 50) {
       session.conversationHistory = session.conversationHistory.slice(-50)
     }
-    
+    this.sessions.set(userId, session)
+
     logger.debug(`Added ${type} to history for user ${userId}`)
   }
 
+  /**
+   * Interface language of the user: the one chosen with /language, otherwise the one
+   * resolved from Telegram on the last message (kept in the session)
+   * @param {string} userId - user ID
+   * @returns {string|null} - language code or null when unknown
+   */
+  getLanguage(userId) {
+    return userPreferences.getLanguage(userId) || this.sessions.get(userId)?.language || null
+  }
+
   /**
    * Clears user session
    * @param {string} userId - user ID
@@ -92,13 +105,14 @@ class SessionService {
 
   /**
    * Cleans up inactive sessions (older than 1 hour)
+   * Sessions with unexpired ticket drafts are kept until the drafts expire
    */
   cleanupInactiveSessions() {
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000)
     let cleaned = 0
 
     for (const [userId, session] of this.sessions.entries()) {
-      if (session.lastActivity < oneHourAgo) {
+      if (session.lastActivity < oneHourAgo && !this.hasActiveDrafts(session)) {
         this.sessions.delete(userId)
         cleaned++
       }
@@ -109,6 +123,33 @@ class SessionService {
     }
   }
 
+  /**
+   * Checks if session has pending ticket drafts that have not expired yet
+   * @param {Object} session - session object
+   * @returns {boolean}
+   */
+  hasActiveDrafts(session) {
+    const now = Date.now()
+    return Object.values(session.pendingTickets || {})
+      .some(draft => draft.expiresAt && new Date(draft.expiresAt).getTime() > now)
+  }
+
+  /**
+   * Gets all sessions that contain pending ticket drafts
+   * @returns {Array<Object>} - sessions list
+   */
+  getSessionsWithDrafts() {
+    return Array.from(this.sessions.values())
+      .filter(session => session.pendingTickets && Object.keys(session.pendingTickets).length > 0)
+  }
+
+  /**
+   * Writes pending session changes to the underlying store
+   */
+  flush() {
+    this.sessions.flush()
+  }
+
   /**
    * Saves message_id for a given message text in the session
    * @param {string} userId - user ID
@@ -0,0 +1,92 @@
+const path = require('path')
+const logger = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+
+/**
+ * Session storage adapters used by SessionService.
+ * Every adapter exposes the same synchronous interface:
+ * get(userId), set(userId, session), delete(userId), has(userId),
+ * entries(), values(), size and flush()
+ */
+
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map()
+  }
+
+  get(userId) {
+    return this.sessions.get(userId)
+  }
+
+  set(userId, session) {
+    this.sessions.set(userId, session)
+  }
+
+  delete(userId) {
+    return this.sessions.delete(userId)
+  }
+
+  has(userId) {
+    return this.sessions.has(userId)
+  }
+
+  entries() {
+    return this.sessions.entries()
+  }
+
+  values() {
+    return this.sessions.values()
+  }
+
+  get size() {
+    return this.sessions.size
+  }
+
+  /**
+   * Nothing to persist for in-memory storage
+   */
+  flush() {}
+}
+
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} filePath - path to JSON file with sessions
+   * @param {number} writeDelay - delay in ms to batch several updates into one write
+   */
+  constructor(filePath, writeDelay = 1000) {
+    super()
+    this.sessions = new JsonFileStore(filePath, {
+      name: 'sessions',
+      writeDelay,
+      revive: session => ({ ...session, lastActivity: new Date(session.lastActivity) })
+    })
+  }
+
+  /**
+   * Writes pending session changes to disk now
+   */
+  flush() {
+    this.sessions.flush()
+  }
+}
+
+/**
+ * Creates session store selected by SESSION_STORE env variable
+ * @param {string} type - store type (memory, file)
+ * @returns {MemorySessionStore|FileSessionStore} - session store
+ */
+function createSessionStore(type = process.env.SESSION_STORE || 'memory') {
+  switch (type) {
+    case 'file':
+      return new FileSessionStore(
+        process.env.SESSION_STORE_PATH || path.join(__dirname, '../../data/sessions.json')
+      )
+    case 'memory':
+      return new MemorySessionStore()
+    default:
+      logger.warn(`Unknown SESSION_STORE "${type}", falling back to memory`)
+      return new MemorySessionStore()
+  }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore }
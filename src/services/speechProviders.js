@@ -0,0 +1,254 @@
+const axios = require('axios')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+require('dotenv').config()
+
+const execFileAsync = promisify(execFile)
+
+// Keys the local speech service has used for the transcription over its versions
+const HTTP_TEXT_KEYS = ['translated_text', 'text', 'transcription', 'result', 'transcript']
+// OpenAI-compatible servers report the language by name in verbose_json
+const LANGUAGE_CODES = {
+  ukrainian: 'uk',
+  russian: 'ru',
+  english: 'en'
+}
+
+/**
+ * Speech-to-text providers. Each one implements
+ *   transcribe(filePath, {clientId, segmentNumber}) -> {text, language, segments: [{start, end, text}], raw}
+ *   checkHealth() -> boolean
+ * with segment start/end in seconds and language as a code ('uk') or null when unknown.
+ * The provider is selected with SPEECH_PROVIDER: http (default), openai or whisper-cpp
+ */
+
+function languageCode(language) {
+  if (!language) {
+    return null
+  }
+  const normalized = language.toString().toLowerCase()
+  return LANGUAGE_CODES[normalized] || normalized
+}
+
+function normalizeSegments(segments) {
+  if (!Array.isArray(segments)) {
+    return []
+  }
+  return segments.map(segment => ({
+    start: Number(segment.start) || 0,
+    end: Number(segment.end) || 0,
+    text: (segment.text || '').trim()
+  }))
+}
+
+/**
+ * The bot's own speech service: multipart upload with clientId and segment_number
+ */
+class HttpSpeechProvider {
+  constructor() {
+    this.name = 'http'
+    this.url = process.env.SPEECH_TO_TEXT_URL || 'http://localhost:8338/update/'
+    this.timeout = parseInt(process.env.SPEECH_TIMEOUT) || 60000
+  }
+
+  async transcribe(filePath, { clientId, segmentNumber }) {
+    const formData = new FormData()
+    formData.append('clientId', clientId)
+    formData.append('segment_number', segmentNumber.toString())
+    formData.append('file', fs.createReadStream(filePath))
+
+    const response = await axios.post(this.url, formData, {
+      headers: {
+        ...formData.getHeaders(),
+      },
+      timeout: this.timeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    })
+
+    return this.parseResponse(response.data)
+  }
+
+  /**
+   * The service answers with JSON (object or string) or plain text
+   */
+  parseResponse(data) {
+    let parsed = data
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data)
+      } catch (parseError) {
+        return { text: data, language: null, segments: [], raw: data }
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      return { text: String(data), language: null, segments: [], raw: data }
+    }
+
+    const key = HTTP_TEXT_KEYS.find(textKey => parsed[textKey])
+    return {
+      text: key ? parsed[key] : (typeof data === 'string' ? data : JSON.stringify(parsed)),
+      language: languageCode(parsed.language),
+      segments: normalizeSegments(parsed.segments),
+      raw: data
+    }
+  }
+
+  async checkHealth() {
+    try {
+      await axios.get(this.url.replace('/update/', '/health'), { timeout: 5000 })
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+/**
+ * OpenAI or a compatible server (faster-whisper-server, LocalAI, vLLM) with POST /audio/transcriptions
+ */
+class OpenAISpeechProvider {
+  constructor() {
+    this.name = 'openai'
+    this.baseUrl = (process.env.SPEECH_OPENAI_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+    this.apiKey = process.env.SPEECH_OPENAI_API_KEY || process.env.OPENAI_API_KEY || ''
+    this.model = process.env.SPEECH_OPENAI_MODEL || 'whisper-1'
+    // Empty means the server detects the language itself
+    this.language = process.env.SPEECH_LANGUAGE || ''
+    this.timeout = parseInt(process.env.SPEECH_TIMEOUT) || 60000
+  }
+
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+  }
+
+  async transcribe(filePath) {
+    const formData = new FormData()
+    formData.append('file', fs.createReadStream(filePath))
+    formData.append('model', this.model)
+    formData.append('response_format', 'verbose_json')
+    formData.append('timestamp_granularities[]', 'segment')
+    if (this.language) {
+      formData.append('language', this.language)
+    }
+
+    const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, formData, {
+      headers: {
+        ...formData.getHeaders(),
+        ...this.getHeaders()
+      },
+      timeout: this.timeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    })
+
+    const data = response.data || {}
+    return {
+      text: (data.text || '').trim(),
+      language: languageCode(data.language) || this.language || null,
+      segments: normalizeSegments(data.segments),
+      raw: data
+    }
+  }
+
+  async checkHealth() {
+    try {
+      await axios.get(`${this.baseUrl}/models`, { headers: this.getHeaders(), timeout: 5000 })
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+/**
+ * Local whisper.cpp command line tool. Telegram voice messages (OGG/Opus) are converted
+ * with ffmpeg to 16 kHz mono WAV first, the result is read from the JSON file whisper.cpp writes
+ */
+class WhisperCppSpeechProvider {
+  constructor() {
+    this.name = 'whisper-cpp'
+    this.binaryPath = process.env.WHISPER_CPP_PATH || 'whisper-cli'
+    this.modelPath = process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin'
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg'
+    this.threads = parseInt(process.env.WHISPER_CPP_THREADS) || 2
+    this.language = process.env.SPEECH_LANGUAGE || 'auto'
+    this.timeout = parseInt(process.env.SPEECH_TIMEOUT) || 60000
+  }
+
+  async transcribe(filePath) {
+    // Own directory per call: concurrent voice messages must not share the WAV and JSON files
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-'))
+    const basePath = path.join(tempDir, 'audio')
+    const wavPath = `${basePath}.wav`
+    const jsonPath = `${basePath}.json`
+
+    try {
+      await execFileAsync(this.ffmpegPath, ['-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], { timeout: this.timeout })
+      await execFileAsync(this.binaryPath, [
+        '-m', this.modelPath,
+        '-f', wavPath,
+        '-l', this.language,
+        '-t', this.threads.toString(),
+        '-oj',
+        '-of', basePath,
+        '-np'
+      ], { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 })
+
+      const data = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'))
+      // Offsets are in milliseconds
+      const segments = (data.transcription || []).map(segment => ({
+        start: (segment.offsets?.from || 0) / 1000,
+        end: (segment.offsets?.to || 0) / 1000,
+        text: (segment.text || '').trim()
+      }))
+
+      return {
+        text: segments.map(segment => segment.text).filter(Boolean).join(' '),
+        language: languageCode(data.result?.language) || null,
+        segments,
+        raw: data
+      }
+    } finally {
+      fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => {})
+    }
+  }
+
+  async checkHealth() {
+    if (!fs.existsSync(this.modelPath)) {
+      return false
+    }
+    try {
+      await execFileAsync(this.binaryPath, ['--help'], { timeout: 5000 })
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+const PROVIDERS = {
+  http: HttpSpeechProvider,
+  openai: OpenAISpeechProvider,
+  'whisper-cpp': WhisperCppSpeechProvider
+}
+
+/**
+ * Create the provider selected in config
+ * @param {string} name - provider name (SPEECH_PROVIDER)
+ * @returns {Object} - speech-to-text provider
+ */
+function createSpeechProvider(name = process.env.SPEECH_PROVIDER || 'http') {
+  const Provider = PROVIDERS[name]
+  if (!Provider) {
+    throw new Error(`Unknown SPEECH_PROVIDER "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+  return new Provider()
+}
+
+module.exports = { createSpeechProvider, PROVIDERS }
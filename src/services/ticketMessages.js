@@ -0,0 +1,49 @@
+const path = require('path')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+require('dotenv').config()
+
+// Latest "ticket created" messages remembered per user
+const MAX_MESSAGES_PER_USER = 50
+
+/**
+ * Durable mapping of bot "ticket created" messages to Service Desk ticket ids, so replies
+ * to them become follow-up comments even after the session has expired.
+ * Stored in TICKET_MESSAGES_PATH
+ */
+class TicketMessages {
+  constructor() {
+    this.messages = new JsonFileStore(
+      process.env.TICKET_MESSAGES_PATH || path.join(__dirname, '../../data/ticketMessages.json'),
+      { name: 'users with ticket messages' }
+    )
+  }
+
+  /**
+   * Remember which Service Desk ticket a bot message belongs to
+   * @param {string} userId - user ID
+   * @param {number} messageId - Telegram message id
+   * @param {string|number} ticketId - Service Desk ticket id
+   */
+  remember(userId, messageId, ticketId) {
+    const messages = { ...this.messages.get(userId), [messageId]: ticketId }
+
+    const messageIds = Object.keys(messages)
+    for (const oldId of messageIds.slice(0, Math.max(messageIds.length - MAX_MESSAGES_PER_USER, 0))) {
+      delete messages[oldId]
+    }
+
+    this.messages.set(userId, messages)
+  }
+
+  /**
+   * Service Desk ticket id of a bot message
+   * @param {string} userId - user ID
+   * @param {number} messageId - Telegram message id
+   * @returns {string|number|null} - ticket id
+   */
+  getTicketId(userId, messageId) {
+    return this.messages.get(userId)?.[messageId] || null
+  }
+}
+
+module.exports = new TicketMessages()
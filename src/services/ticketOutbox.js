@@ -0,0 +1,103 @@
+const path = require('path')
+const logger = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+require('dotenv').config()
+
+/**
+ * Durable queue of tickets that could not be created because Service Desk was unreachable.
+ * Entries are stored in TICKET_OUTBOX_PATH and retried with exponential backoff
+ */
+class TicketOutbox {
+  constructor() {
+    this.retryBaseSeconds = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 60
+    this.retryMaxSeconds = parseInt(process.env.OUTBOX_RETRY_MAX_SECONDS) || 3600
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10
+    this.entries = new JsonFileStore(
+      process.env.TICKET_OUTBOX_PATH || path.join(__dirname, '../../data/outbox.json'),
+      { name: 'queued tickets' }
+    )
+  }
+
+  /**
+   * Queue ticket after the first failed creation attempt
+   * @param {Object} draft - pending ticket {id, ticket, userId, chatId, attachments}
+   * @param {string} error - error of the failed attempt
+   * @returns {Object} - queued entry
+   */
+  enqueue(draft, error) {
+    const entry = {
+      id: draft.id,
+      userId: draft.userId,
+      chatId: draft.chatId || draft.userId,
+      ticket: draft.ticket,
+      attachments: draft.attachments || [],
+      attempts: 1,
+      lastError: error || null,
+      queuedAt: new Date().toISOString(),
+      nextAttemptAt: this.getNextAttemptAt(1)
+    }
+
+    this.entries.set(entry.id, entry)
+    logger.info(`Ticket ${entry.id} of user ${entry.userId} queued for retry at ${entry.nextAttemptAt}`)
+    return entry
+  }
+
+  /**
+   * Entries whose next attempt time has come
+   * @returns {Array<Object>} - due entries
+   */
+  getDue(now = Date.now()) {
+    return [...this.entries.values()].filter(entry => new Date(entry.nextAttemptAt).getTime() <= now)
+  }
+
+  /**
+   * Register failed retry and schedule the next one
+   * @param {string} id - entry id
+   * @param {string} error - error of the failed attempt
+   * @returns {boolean} - false when retries are exhausted and the entry was dropped
+   */
+  markFailed(id, error) {
+    const entry = this.entries.get(id)
+    if (!entry) {
+      return false
+    }
+
+    entry.attempts++
+    entry.lastError = error || null
+
+    if (entry.attempts >= this.maxAttempts) {
+      this.remove(id)
+      logger.warn(`Ticket ${id} of user ${entry.userId} dropped from outbox after ${entry.attempts} attempts: ${entry.lastError}`)
+      return false
+    }
+
+    entry.nextAttemptAt = this.getNextAttemptAt(entry.attempts)
+    this.entries.save()
+    logger.info(`Ticket ${id} retry ${entry.attempts} failed, next attempt at ${entry.nextAttemptAt}`)
+    return true
+  }
+
+  has(id) {
+    return this.entries.has(id)
+  }
+
+  remove(id) {
+    this.entries.delete(id)
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base ... limited by retryMaxSeconds
+   * @param {number} attempts - attempts made so far
+   * @returns {string} - ISO date string
+   */
+  getNextAttemptAt(attempts) {
+    const delaySeconds = Math.min(this.retryBaseSeconds * 2 ** (attempts - 1), this.retryMaxSeconds)
+    return new Date(Date.now() + delaySeconds * 1000).toISOString()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+}
+
+module.exports = new TicketOutbox()
@@ -1,194 +1,98 @@
 const logger = require('../utils/logger')
 const logMessages = require('../../data/logMessages')
+const ticketConfig = require('../config/ticketConfig')
+const validationRules = require('../config/validationRules')
+const { parseDueDate, formatDueDate } = require('../utils/dueDateParser')
+const { prepareText, matchKeyword } = require('../utils/keywordMatcher')
+const { detectLanguage } = require('../utils/languageDetector')
+const { PHONE_PATTERN } = require('../utils/redactor')
+const { RULE_CHECKS } = require('../utils/contentRules')
+const localization = require('./localization')
+const departmentClassifier = require('./departmentClassifier')
+
+// Patterns for location, asset and contact details (uk/ru/en).
+// \b does not work with Cyrillic, so word starts are checked with lookbehind
+const ROOM_PATTERN = /(?<![\p{L}])(?:кабінет\p{L}*|каб\.?|кімнат\p{L}*|офіс\p{L}*|аудиторі\p{L}*|ауд\.|кабинет\p{L}*|комнат\p{L}*|офис\p{L}*|room|office)\s*(?:№|#|номер)?\s*(\d{1,4}[а-яa-z]?(?:[-/]\d{1,4})?)(?![\p{L}\d])/iu
+const ASSET_PATTERN = /(?<![\p{L}])(?:інвентарн\p{L}*\s+номер\p{L}*|инвентарн\p{L}*\s+номер\p{L}*|інв\.?\s*(?:№|номер)|инв\.?\s*(?:№|номер)|серійн\p{L}*\s+номер\p{L}*|серийн\p{L}*\s+номер\p{L}*|asset\s+tag|inventory\s+number|serial\s+number|s\/n)\s*[:№#]?\s*([\p{L}\d][\p{L}\d\-/]{2,})/iu
+const ASSET_CODE_PATTERN = /(?<![\p{L}\d])((?:INV|ІНВ|ИНВ)[-\s]?\d{3,})(?![\d])/iu
+const IP_PATTERN = /(?<![\d.])((?:\d{1,3}\.){3}\d{1,3})(?![\d.])/g
+const FQDN_PATTERN = /(?<![\p{L}\d.-])((?:[a-z0-9-]+\.)+(?:local|lan|corp|internal))(?![\p{L}\d-])/giu
+// Short hostnames (PC-ACC-012, ws15) only after a cue word to avoid matching printer models.
+// Cue stems cover consonant changes in the locative ("на ноутбуці")
+const HOSTNAME_PATTERN = /(?<![\p{L}])(?:хост\p{L}*|host(?:name)?|комп['ʼ’]?ютер\p{L}*|компьютер\p{L}*|пк|pc|сервер\p{L}*|server|ноутбу[кц]\p{L}*|laptop)\s*[:№#]?\s*([a-z][a-z0-9]*(?:-[a-z0-9]+)+|[a-z]+\d+[a-z0-9]*)(?![\p{L}\d.-])/giu
+
+// Trained model prediction is used only above this confidence, keyword rules otherwise
+const MODEL_MIN_CONFIDENCE = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE) || 0.6
+// Below this confidence (or on a keyword tie) the user is asked to choose the department
+const DEPARTMENT_MIN_CONFIDENCE = parseFloat(process.env.DEPARTMENT_MIN_CONFIDENCE) || 0.5
+// Below this text detection confidence the language reported by the speech provider is used.
+// Whisper does not report its own certainty, so that language gets this confidence
+const SPEECH_LANGUAGE_CONFIDENCE = 0.5
+const SPEECH_LANGUAGES = ['uk', 'ru', 'en']
 
 class TicketParser {
-  constructor() {
-    // Department keywords for classification
-    this.departmentKeywords = {
-      IT: [
-        // Ukrainian keywords for IT department
-        'комп\'ютер', 'інтернет', 'пошта', 'принтер', 'програма', 'система',
-        'мережа', 'сайт', 'сервер', 'база даних', 'пароль', 'доступ',
-        'установка', 'налаштування', 'програмне забезпечення', 'антивірус',
-        'резервне копіювання', 'відновлення', 'технічна підтримка',
-        'оновлення', 'ліцензія', 'обладнання', 'монітор', 'клавіатура',
-        'миша', 'звук', 'відео', 'камера', 'мікрофон', 'wi-fi', 'wifi',
-
-        // Russian keywords for IT department
-        'компьютер', 'интернет', 'почта', 'принтер', 'программа', 'система',
-        'сеть', 'сайт', 'сервер', 'база данных', 'пароль', 'доступ',
-        'установка', 'настройка', 'программное обеспечение', 'антивирус',
-        'резервное копирование', 'восстановление', 'техническая поддержка',
-        'обновление', 'лицензия', 'оборудование', 'монитор', 'клавиатура',
-        'мышь', 'звук', 'видео', 'камера', 'микрофон', 'вай-фай',
-
-        // Common IT terms
-        'it', 'айти', 'email', 'е-мейл', 'windows', 'office', 'outlook',
-        'excel', 'word', 'powerpoint', 'skype', 'teams', 'zoom',
-        'vpn', 'ip', 'dns', 'tcp', 'http', 'https', 'ftp', 'sql'
-      ],
-
-      Legal: [
-        // Ukrainian keywords for Legal department
-        'юрист', 'юридичний', 'договір', 'контракт', 'угода', 'документ',
-        'правовий', 'закон', 'законодавство', 'нормативний', 'акт',
-        'реєстрація', 'ліцензування', 'дозвіл', 'сертифікат', 'патент',
-        'торговельна марка', 'авторське право', 'інтелектуальна власність',
-        'судовий', 'претензія', 'позов', 'арбітраж', 'медіація',
-        'нотаріус', 'довіреність', 'заповіт', 'спадщина', 'податки',
-        'відповідальність', 'штраф', 'санкції', 'компліанс',
-
-        // Russian keywords for Legal department
-        'юрист', 'юридический', 'договор', 'контракт', 'соглашение', 'документ',
-        'правовой', 'закон', 'законодательство', 'нормативный', 'акт',
-        'регистрация', 'лицензирование', 'разрешение', 'сертификат', 'патент',
-        'торговая марка', 'авторское право', 'интеллектуальная собственность',
-        'судебный', 'претензия', 'иск', 'арбитраж', 'медиация',
-        'нотариус', 'доверенность', 'завещание', 'наследство', 'налоги',
-        'ответственность', 'штраф', 'санкции', 'комплаенс'
-      ],
-
-      HR: [
-        // Ukrainian keywords for HR department
-        'кадри', 'персонал', 'співробітник', 'працівник', 'найм', 'звільнення',
-        'відпустка', 'лікарняний', 'зарплата', 'премія', 'бонус', 'стажування',
-        'навчання', 'тренінг', 'атестація', 'оцінка', 'посада', 'підвищення',
-        'переведення', 'графік', 'робочий час', 'відгул', 'прогул',
-        'дисципліна', 'мотивація', 'командировка', 'витрати', 'компенсація',
-        'соціальний пакет', 'страхування', 'медичний огляд', 'профспілка',
-
-        // Russian keywords for HR department
-        'кадры', 'персонал', 'сотрудник', 'работник', 'найм', 'увольнение',
-        'отпуск', 'больничный', 'зарплата', 'премия', 'бонус', 'стажировка',
-        'обучение', 'тренинг', 'аттестация', 'оценка', 'должность', 'повышение',
-        'перевод', 'график', 'рабочее время', 'отгул', 'прогул',
-        'дисциплина', 'мотивация', 'командировка', 'расходы', 'компенсация',
-        'социальный пакет', 'страхование', 'медосмотр', 'профсоюз',
-
-        // Common HR terms
-        'hr', 'эйчар', 'cv', 'резюме', 'собеседование', 'рекрутинг'
-      ]
-    }
-
-    // Priority keywords
-    this.priorityKeywords = {
-      High: [
-        'срочно', 'терміново', 'критично', 'критически', 'аварійно', 'аварийно',
-        'негайно', 'немедленно', 'блокер', 'блокирует', 'не працює', 'не работает',
-        'зламався', 'сломался', 'падає', 'падает', 'горить', 'горит'
-      ],
-      Medium: [
-        'важливо', 'важно', 'потрібно', 'нужно', 'необхідно', 'необходимо',
-        'слід', 'следует', 'варто', 'стоит', 'бажано', 'желательно'
-      ],
-      Low: [
-        'коли буде час', 'когда будет время', 'не поспішаючи', 'не спеша',
-        'коли зможете', 'когда сможете', 'на дозвіллі', 'на досуге'
-      ]
-    }
-  }
-
   /**
-   * Validate ticket content for meaningfulness
+   * Validate ticket content against the configured rules (src/config/validationRules.json)
    * @param {string} text - input text to validate
-   * @returns {Object} - validation result {isValid: boolean, reason: string}
+   * @returns {Object} - {isValid, reason, warnings: [{id, reason}], appliedRules: [ids of fired rules]}
    */
   validateTicketContent(text) {
-    if (!text || typeof text !== 'string') {
-      return { isValid: false, reason: 'Порожнє повідомлення' }
-    }
-
-    const cleanText = text.trim().toLowerCase()
-
-    // Check minimum length
-    if (cleanText.length < 5) {
-      return { isValid: false, reason: 'Занадто коротке повідомлення (мінімум 5 символів)' }
-    }
-
-    // Check for repeated characters (like "aaaaaaa", "бла-бла-бла")
-    const repeatedPattern = /(.)\1{4,}/g // 5 or more same characters in a row
-    if (repeatedPattern.test(cleanText)) {
-      return { isValid: false, reason: 'Повідомлення містить повторювані символи' }
-    }
+    const content = typeof text === 'string' ? text : ''
+    const language = localization.getLanguage()
+    const result = { isValid: true, reason: '', warnings: [], appliedRules: [] }
 
-    // Check for repeated words like "бла бла бла"
-    const wordsArray = cleanText.split(/\s+/)
-    if (wordsArray.length >= 3) {
-      const uniqueWords = new Set(wordsArray)
-      if (uniqueWords.size === 1 && (uniqueWords.has('бла') || uniqueWords.has('blah') || uniqueWords.has('test'))) {
-        return { isValid: false, reason: 'Безглузде повідомлення. Опишіть вашу проблему детальніше' }
+    for (const rule of validationRules.rules) {
+      if (!RULE_CHECKS[rule.type](content, rule.params)) {
+        continue
       }
-    }
 
-    // Check for meaningless phrases
-    const meaninglessPatterns = [
-      /^(бла|бла-бла|blah|тест|test|проверка|check)$/i,
-      /^(хм|хмм|эм|эмм|ну|well|hmm|uh|ah)$/i,
-      /^(ничего|nothing|нічого|нет|no|да|yes|так)$/i,
-      /^(да нет|нет да|не знаю|не знаю что|не пойму)$/i,
-      /^(бла[\s\-]*){3,}[.?!]*$/i,  // Multiple "бла" with spaces/dashes like "бла-бла-бла-бла"
-      /^(blah[\s\-]*){3,}[.?!]*$/i, // Multiple "blah" with spaces/dashes
-      /^[.?!,\s]{3,}$/,  // Only punctuation and spaces
-      /^[0-9]{3,}$/,      // Only numbers
-      /^[a-zA-Z]{2}\1+$/i // Repeated pairs like "asasas"
-    ]
-
-    for (const pattern of meaninglessPatterns) {
-      if (pattern.test(cleanText)) {
-        return { isValid: false, reason: 'Безглузде повідомлення. Опишіть вашу проблему детальніше' }
+      result.appliedRules.push(rule.id)
+      const reason = validationRules.getReason(rule, language)
+      if (rule.severity === 'warn') {
+        result.warnings.push({ id: rule.id, reason })
+      } else if (result.isValid) {
+        // The first rejecting rule gives the reason shown to the user
+        result.isValid = false
+        result.reason = reason
       }
     }
 
-    // Check for only interjections or filler words
-    const fillerWords = ['хм', 'эм', 'ну', 'тобто', 'то есть', 'ага', 'угу', 'ок', 'ok', 'окей', 'okay']
-    const words = cleanText.split(/\s+/).filter(word => word.length > 1)
-
-    if (words.length === 0) {
-      return { isValid: false, reason: 'Повідомлення не містить змістовних слів' }
-    }
-
-    // If all words are filler words
-    const meaningfulWords = words.filter(word => !fillerWords.includes(word))
-    if (meaningfulWords.length === 0) {
-      return { isValid: false, reason: 'Повідомлення містить тільки службові слова' }
-    }
-
-    // Check for minimum meaningful content (at least 2 meaningful words)
-    if (meaningfulWords.length < 2) {
-      return { isValid: false, reason: 'Занадто мало змістовної інформації. Додайте більше деталей' }
-    }
-
-    // Check for gibberish patterns
-    const gibberishPattern = /^[qwertyuiopasdfghjklzxcvbnm]{5,}$/i
-    if (gibberishPattern.test(cleanText.replace(/\s/g, ''))) {
-      return { isValid: false, reason: 'Схоже на випадковий набір символів' }
-    }
-
-    // All checks passed
-    return { isValid: true, reason: '' }
+    return result
   }
 
   /**
    * Parse transcribed text and create ticket structure
    * @param {string} text - transcribed text
    * @param {string} clientId - user ID
+   * @param {string} aiCategory - category suggested by local AI (optional)
+   * @param {string|null} speechLanguage - language detected by the speech provider for voice messages (optional)
    * @returns {Object} - parsed ticket structure
    */
-  parseTicket(text, subject, clientId) {
+  parseTicket(text, subject, clientId, aiCategory = '', speechLanguage = null) {
     try {
       logger.info(logMessages.processing.ticketParsing(clientId, text))
 
+      const classification = this.classifyDepartment(text)
+      const detected = this.detectLanguage(text, speechLanguage)
+
       const ticket = {
         ticket_id: this.generateTicketId(),
-        department: this.determineDepartment(text),
-        category: 'Request', // Default category
+        department: classification.department,
+        department_confidence: classification.confidence,
+        department_source: classification.source,
+        department_uncertain: classification.uncertain,
+        category: this.determineCategory(text, subject, aiCategory),
         priority: this.determinePriority(text),
         title: this.generateTitle(text, subject),
         description: text.trim(),
         requester: clientId,
-        language: this.detectLanguage(text),
+        language: detected.language,
+        language_confidence: detected.confidence,
         created_at: new Date().toISOString(),
-        status: 'Open'
+        status: 'Open',
+        additional_info: [],
+        ...this.extractDetails(text),
+        deadline: parseDueDate(text)?.toISOString() || null
       }
 
       logger.info(logMessages.processing.ticketCreated(clientId, ticket.ticket_id, ticket.department))
@@ -211,35 +115,96 @@ class TicketParser {
     return `TKT-${timestamp}${random}`
   }
 
+  /**
+   * Keywords from the list found in text as whole words (stemmed, phrases as word sequences)
+   * @param {Object} prepared - text prepared by keywordMatcher.prepareText
+   * @param {Array<string>} keywords - keywords to look for
+   * @returns {Array<Object>} - matched keywords {keyword, exact}
+   */
+  findKeywords(prepared, keywords) {
+    const matches = []
+    for (const keyword of new Set(keywords)) {
+      const match = matchKeyword(prepared, keyword)
+      if (match) {
+        matches.push({ keyword, exact: match.exact })
+      }
+    }
+    return matches
+  }
+
+  /**
+   * Keyword score of every department
+   * @param {string} text - text to analyze
+   * @returns {Array<Object>} - {id, score, keywords} in config order
+   */
+  scoreDepartments(text) {
+    const prepared = prepareText(text)
+
+    return ticketConfig.departments.map(({ id, keywords }) => {
+      const matches = this.findKeywords(prepared, keywords)
+      // Give more weight to exact word forms
+      const score = matches.reduce((sum, match) => sum + (match.exact ? 1.5 : 1), 0)
+      return { id, score, keywords: matches.map(match => match.keyword) }
+    })
+  }
+
   /**
    * Determine department based on keywords in text
    * @param {string} text - text to analyze
    * @returns {string} - department name
    */
   determineDepartment(text) {
-    const lowerText = text.toLowerCase()
-    let maxScore = 0
-    let bestDepartment = 'IT' // Default to IT
-
-    for (const [dept, keywords] of Object.entries(this.departmentKeywords)) {
-      let score = 0
-      for (const keyword of keywords) {
-        if (lowerText.includes(keyword.toLowerCase())) {
-          score += 1
-          // Give more weight to exact matches
-          if (lowerText.includes(` ${keyword.toLowerCase()} `)) {
-            score += 0.5
-          }
-        }
-      }
+    return this.classifyDepartment(text).department
+  }
 
-      if (score > maxScore) {
-        maxScore = score
-        bestDepartment = dept
+  /**
+   * Classify department with trained model, keyword rules when the model is untrained or unsure.
+   * A trained model below DEPARTMENT_MIN_CONFIDENCE means the user chooses, whatever the keywords say
+   * @param {string} text - text to analyze
+   * @returns {Object} - {department, confidence, source, uncertain} where source is 'model' or 'keywords'
+   * and uncertain means the user should choose the department
+   */
+  classifyDepartment(text) {
+    const departmentIds = ticketConfig.departments.map(department => department.id)
+    const prediction = departmentClassifier.predict(text, departmentIds)
+
+    if (prediction && (prediction.confidence >= MODEL_MIN_CONFIDENCE || prediction.confidence < DEPARTMENT_MIN_CONFIDENCE)) {
+      return {
+        department: prediction.department,
+        confidence: prediction.confidence,
+        source: 'model',
+        uncertain: prediction.confidence < DEPARTMENT_MIN_CONFIDENCE
       }
     }
 
-    return bestDepartment
+    // Keyword confidence is the share of the best department in the total score
+    const scores = this.scoreDepartments(text)
+    const total = scores.reduce((sum, { score }) => sum + score, 0)
+    const department = this.pickBest(scores, ticketConfig.defaultDepartment)
+    const best = scores.find(({ id }) => id === department)
+    const confidence = total > 0 && best ? best.score / total : 0
+    const tie = best && scores.some(({ id, score }) => id !== department && score > 0 && score === best.score)
+
+    return {
+      department,
+      confidence,
+      source: 'keywords',
+      uncertain: confidence < DEPARTMENT_MIN_CONFIDENCE || Boolean(tie)
+    }
+  }
+
+  /**
+   * Matched keywords of every priority
+   * @param {string} text - text to analyze
+   * @returns {Array<Object>} - {id, keywords} in config order
+   */
+  matchPriorities(text) {
+    const prepared = prepareText(text)
+
+    return ticketConfig.priorities.map(({ id, keywords }) => ({
+      id,
+      keywords: this.findKeywords(prepared, keywords).map(match => match.keyword)
+    }))
   }
 
   /**
@@ -248,30 +213,102 @@ class TicketParser {
    * @returns {string} - priority level
    */
   determinePriority(text) {
-    const lowerText = text.toLowerCase()
+    // Priorities are checked in config order, first keyword match wins
+    const matched = this.matchPriorities(text).find(priority => priority.keywords.length > 0)
+    return matched ? matched.id : ticketConfig.defaultPriority
+  }
 
-    // Check for high priority keywords first
-    for (const keyword of this.priorityKeywords.High) {
-      if (lowerText.includes(keyword.toLowerCase())) {
-        return 'High'
-      }
+  /**
+   * Keyword score of every category (one point per matched keyword)
+   * @param {string} text - text to analyze
+   * @returns {Array<Object>} - {id, score, keywords} in config order
+   */
+  scoreCategories(text) {
+    const prepared = prepareText(text)
+
+    return ticketConfig.categories.map(({ id, keywords }) => {
+      const matched = this.findKeywords(prepared, keywords).map(match => match.keyword)
+      return { id, score: matched.length, keywords: matched }
+    })
+  }
+
+  /**
+   * Determine category: local AI suggestion if it maps to a known category, otherwise keyword rules
+   * @param {string} text - text to analyze
+   * @param {string} subject - topic from local AI
+   * @param {string} aiCategory - category suggested by local AI
+   * @returns {string} - category id
+   */
+  determineCategory(text, subject = '', aiCategory = '') {
+    const suggested = ticketConfig.getCategory(aiCategory)
+    if (suggested) {
+      return suggested.id
     }
 
-    // Check for low priority keywords
-    for (const keyword of this.priorityKeywords.Low) {
-      if (lowerText.includes(keyword.toLowerCase())) {
-        return 'Low'
+    return this.pickBest(this.scoreCategories(`${subject} ${text}`), ticketConfig.defaultCategory)
+  }
+
+  /**
+   * Highest scored entry, on equal score the one listed first in config wins
+   * @param {Array<Object>} scores - {id, score}
+   * @param {string} defaultId - result when nothing scored
+   * @returns {string} - id
+   */
+  pickBest(scores, defaultId) {
+    let maxScore = 0
+    let best = defaultId
+
+    for (const { id, score } of scores) {
+      if (score > maxScore) {
+        maxScore = score
+        best = id
       }
     }
 
-    // Check for medium priority keywords or default to medium
-    for (const keyword of this.priorityKeywords.Medium) {
-      if (lowerText.includes(keyword.toLowerCase())) {
-        return 'Medium'
-      }
+    return best
+  }
+
+  /**
+   * Explain keyword classification of a sample text (admin diagnostics)
+   * @param {string} text - sample text
+   * @returns {Object} - chosen department/priority/category and keywords matched for each entry
+   */
+  explainKeywords(text) {
+    return {
+      department: this.determineDepartment(text),
+      classification: this.classifyDepartment(text),
+      departments: this.scoreDepartments(text),
+      priority: this.determinePriority(text),
+      priorities: this.matchPriorities(text),
+      category: this.determineCategory(text),
+      categories: this.scoreCategories(text)
     }
+  }
 
-    return 'Medium' // Default priority
+  /**
+   * Extract room/office, inventory tag, IP or hostname and callback phone from text
+   * @param {string} text - text to analyze
+   * @returns {Object} - {room, asset, host, phone}, null for missing values
+   */
+  extractDetails(text) {
+    const room = text.match(ROOM_PATTERN)
+    const asset = text.match(ASSET_PATTERN) || text.match(ASSET_CODE_PATTERN)
+    const phone = text.match(PHONE_PATTERN)
+
+    const ips = [...text.matchAll(IP_PATTERN)]
+      .map(match => match[1])
+      .filter(ip => ip.split('.').every(octet => parseInt(octet) <= 255))
+    const hostnames = [...text.matchAll(FQDN_PATTERN), ...text.matchAll(HOSTNAME_PATTERN)]
+      .map(match => match[1])
+      .filter(host => !asset || !asset[1].toLowerCase().includes(host.toLowerCase()))
+    const hosts = [...new Set([...ips, ...hostnames])]
+
+    return {
+      room: room ? room[1] : null,
+      asset: asset ? asset[1].toUpperCase() : null,
+      host: hosts.length > 0 ? hosts.join(', ') : null,
+      phone: phone ? phone[1].replace(/[\s()-]/g, '') : null
+    }
   }
 
   /**
@@ -298,77 +335,63 @@ class TicketParser {
   }
 
   /**
-   * Detect language of the text
+   * Detect language of the text (Ukrainian, Russian, English or Surzhyk)
    * @param {string} text - text to analyze
-   * @returns {string} - detected language
+   * @param {string|null} speechLanguage - language detected by the speech provider, used when the text is too short or ambiguous
+   * @returns {Object} - {language, confidence} where language is 'uk', 'ru', 'en', 'surzhyk' or 'unknown'
    */
-  detectLanguage(text) {
-    const lowerText = text.toLowerCase()
-
-    // Ukrainian indicators
-    const ukrainianChars = (lowerText.match(/[іїєґ]/g) || []).length
-    const ukrainianWords = [
-      'та', 'або', 'якщо', 'який', 'тому', 'треба', 'потрібно', 'можна',
-      'буде', 'має', 'можуть', 'повинен', 'після', 'перед'
-    ]
-    let ukrainianScore = ukrainianChars * 2
-
-    for (const word of ukrainianWords) {
-      if (lowerText.includes(word)) {
-        ukrainianScore += 1
-      }
-    }
-
-    // Russian indicators
-    const russianWords = [
-      'что', 'или', 'если', 'который', 'поэтому', 'нужно', 'можно',
-      'будет', 'имеет', 'могут', 'должен', 'после', 'перед'
-    ]
-    let russianScore = 0
-
-    for (const word of russianWords) {
-      if (lowerText.includes(word)) {
-        russianScore += 1
-      }
-    }
-
-    if (ukrainianScore > russianScore) {
-      return ukrainianScore > 2 ? 'Ukrainian' : 'Mixed'
-    } else if (russianScore > ukrainianScore) {
-      return russianScore > 2 ? 'Russian' : 'Mixed'
-    } else {
-      return 'Mixed'
+  detectLanguage(text, speechLanguage = null) {
+    const { language, confidence } = detectLanguage(text)
+    // The speech provider heard the whole recording, but cannot tell Surzhyk
+    if (SPEECH_LANGUAGES.includes(speechLanguage) && language !== 'surzhyk' && confidence < SPEECH_LANGUAGE_CONFIDENCE) {
+      return { language: speechLanguage, confidence: SPEECH_LANGUAGE_CONFIDENCE }
     }
+    return { language, confidence }
   }
 
   /**
-   * Format ticket for display
+   * Format ticket for display (rendering only, the ticket object stays the source of truth)
    * @param {Object} ticket - ticket object
    * @returns {string} - formatted ticket text
    */
   formatTicketForDisplay(ticket) {
-    const departmentEmojis = {
-      'IT': '💻',
-      'Legal': '⚖️',
-      'HR': '👥'
+    const department = ticketConfig.getDepartment(ticket.department)
+    const priority = ticketConfig.getPriority(ticket.priority)
+    const category = ticketConfig.getCategory(ticket.category)
+    const labels = localization.uiMessages.ticketFields
+
+    let display = `🎫 **${labels.ticket}:**
+📋 **${labels.id}:** ${ticket.ticket_id}
+${ticket.department_uncertain ? `❓ **${labels.department}:** ${labels.departmentUnknown}` : `${department?.emoji || '📁'} **${labels.department}:** ${department?.name || ticket.department}`}
+${category?.emoji || '📂'} **${labels.category}:** ${category?.name || ticket.category}
+${priority?.emoji || '⚪'} **${labels.priority}:** ${priority?.name || ticket.priority}
+📝 **${labels.title}:** ${ticket.title}
+📄 **${labels.description}:** ${ticket.description}${this.formatDetails(ticket)}
+🌐 **${labels.language}:** ${localization.uiMessages.ticketLanguages[ticket.language] || ticket.language}
+⏰ **${labels.created}:** ${new Date(ticket.created_at).toLocaleString(labels.dateLocale)}
+✅ **${labels.status}:** ${ticket.status}`
+
+    if (ticket.additional_info && ticket.additional_info.length > 0) {
+      display += `\n\n🔄 **${labels.additionalInfo}:**\n${ticket.additional_info.join('\n')}`
     }
 
-    const priorityEmojis = {
-      'High': '🔴',
-      'Medium': '🟡',
-      'Low': '🟢'
-    }
+    return display
+  }
 
-    return `🎫 **Заявка:**
-📋 **ID:** ${ticket.ticket_id}
-${departmentEmojis[ticket.department] || '📁'} **Відділ:** ${ticket.department}
-📂 **Категорія:** ${ticket.category}
-${priorityEmojis[ticket.priority] || '⚪'} **Пріоритет:** ${ticket.priority}
-📝 **Заголовок:** ${ticket.title}
-📄 **Опис:** ${ticket.description}
-🌐 **Мова:** ${ticket.language}
-⏰ **Створено:** ${new Date(ticket.created_at).toLocaleString('uk-UA')}
-✅ **Статус:** ${ticket.status}`
+  /**
+   * Preview lines for extracted details, only filled ones are shown
+   */
+  formatDetails(ticket) {
+    const labels = localization.uiMessages.ticketFields
+    const lines = [
+      ticket.room && `🚪 **${labels.room}:** ${ticket.room}`,
+      ticket.asset && `🏷 **${labels.asset}:** ${ticket.asset}`,
+      ticket.host && `🖥 **${labels.host}:** ${ticket.host}`,
+      ticket.phone && `📞 **${labels.phone}:** ${ticket.phone}`,
+      ticket.deadline && `⏳ **${labels.deadline}:** ${formatDueDate(ticket.deadline)}`
+    ].filter(Boolean)
+
+    return lines.length > 0 ? `\n${lines.join('\n')}` : ''
   }
 }
 
@@ -1,51 +1,99 @@
 const axios = require('axios')
 const https = require('https')
 const logger = require('../utils/logger')
-const messages = require('../../data/messages')
+const localization = require('./localization')
+const { messages, uiMessages } = localization
 const logMessages = require('../../data/logMessages')
+const ticketConfig = require('../config/ticketConfig')
+const { formatDueDate } = require('../utils/dueDateParser')
+const { redact, parseTypes } = require('../utils/redactor')
 require('dotenv').config()
 
 class TicketService {
   constructor() {
     this.createTicketEndpoint = process.env.ZAMMAD_API_TICKETS_URL || 'https://127.0.0.1:8001/api'
+    this.userTicketsEndpoint = process.env.ZAMMAD_API_USER_TICKETS_URL || 'https://127.0.0.1:8001/api/user-tickets'
+    this.addArticleEndpoint = process.env.ZAMMAD_API_ARTICLES_URL || 'https://127.0.0.1:8001/api/add-article'
+    this.openTicketsEndpoint = process.env.ZAMMAD_API_OPEN_TICKETS_URL || 'https://127.0.0.1:8001/api/open-tickets'
+    this.categoryField = process.env.ZAMMAD_CATEGORY_FIELD || 'category'
+    // Custom date/time ticket attribute; Zammad reads pending_time only in pending states
+    this.dueDateField = process.env.ZAMMAD_DUE_DATE_FIELD || 'due_date'
+    this.pendingStateId = parseInt(process.env.ZAMMAD_PENDING_STATE_ID) || 3 // pending reminder
     this.mode = process.env.MODE || 'debug'
+    // Ticket body labels are written for the Service Desk agents, not in the user's language
+    this.serviceDeskLanguage = localization.normalize(process.env.SERVICE_DESK_LANGUAGE) || 'uk'
+    // Masking of secrets in text sent to Service Desk: none, partial (keeps last digits) or full
+    this.redactionMode = process.env.TICKET_REDACTION_MODE || 'partial'
+    this.redactionTypes = parseTypes(process.env.TICKET_REDACTION_TYPES, ['password', 'card'])
     this.timeout = 15000 // 15 seconds timeout for ticket creation
   }
 
   /**
    * Create ticket in Zammad Service Desk
    * @param {Object} ticketData - ticket information
-   * @param {string} ticketData.content - full formatted ticket content
+   * @param {Object} ticketData.ticket - parsed ticket object from ticketParser
    * @param {string} ticketData.telegramId - telegram user id
    * @param {Object} ticketData.userInfo - user information from auth
+   * @param {Array<Object>} ticketData.attachments - files {filename, mimeType, data (base64)}
+   * @param {string} ticketData.idempotencyKey - key identifying the draft, repeated requests return the same ticket
    * @returns {Promise<Object>} - creation result
    */
   async createTicket(ticketData) {
     try {
-      const { content, telegramId, userInfo } = ticketData
+      const { telegramId, userInfo, attachments = [], idempotencyKey } = ticketData
+      const ticket = this.redactTicket(ticketData.ticket)
 
-      // Parse ticket content to extract fields
-      const parsedFields = this.parseTicketContent(content)
-
-      logger.info(`Creating ticket for user ${telegramId}: ${parsedFields.title}`)
+      logger.info(`Creating ticket for user ${telegramId}: ${ticket.title}`)
 
       // Prepare request body
       const requestBody = {
-        title: parsedFields.title || messages.tickets.defaultTitle,
-        body: this.formatTicketBody(content, parsedFields),
+        title: ticket.title || messages.tickets.defaultTitle,
+        body: this.formatTicketBody(ticket),
         customer_id: parseInt(telegramId),
-        group_id: this.getGroupId(parsedFields.department),
-        priority_id: this.getPriorityId(parsedFields.priority),
-        state_id: 1, // Open state
+        group_id: this.getGroupId(ticket.department),
+        priority_id: this.getPriorityId(ticket.priority),
+        state_id: this.getStateId(ticket),
+        [this.categoryField]: this.getCategoryValue(ticket.category),
+        ...(ticket.deadline && { [this.dueDateField]: ticket.deadline }),
         // Additional fields
         telegram_id: telegramId,
         source: 'telegram_bot',
-        original_content: content,
-        created_via: 'AI Dialog Bot'
+        original_content: ticket.description,
+        created_via: 'AI Dialog Bot',
+        idempotency_key: idempotencyKey,
+        // Typed ticket fields for Service Desk processing
+        ticket_data: {
+          draft_id: ticket.ticket_id,
+          department: ticket.department,
+          category: ticket.category,
+          priority: ticket.priority,
+          title: ticket.title,
+          description: ticket.description,
+          additional_info: ticket.additional_info || [],
+          room: ticket.room || null,
+          asset_tag: ticket.asset || null,
+          host: ticket.host || null,
+          callback_phone: ticket.phone || null,
+          deadline: ticket.deadline || null,
+          language: ticket.language,
+          language_confidence: ticket.language_confidence ?? null,
+          template_id: ticket.template_id || null,
+          created_at: ticket.created_at
+        },
+        // Zammad article attachments format
+        attachments: attachments.map(file => ({
+          filename: file.filename,
+          data: file.data,
+          'mime-type': file.mimeType
+        }))
       }
 
       if (this.mode === 'debug') {
-        logger.info('DEBUG MODE: Would create ticket with data:', JSON.stringify(requestBody, null, 2))
+        const loggedBody = {
+          ...requestBody,
+          attachments: requestBody.attachments.map(file => ({ ...file, data: `<${file.data.length} base64 chars>` }))
+        }
+        logger.info('DEBUG MODE: Would create ticket with data:', JSON.stringify(loggedBody, null, 2))
         return {
           success: true,
           ticketId: `DEBUG-${Date.now()}`,
@@ -57,6 +105,7 @@ class TicketService {
       const response = await axios.post(this.createTicketEndpoint, requestBody, {
         headers: {
           'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
         },
         timeout: this.timeout,
         httpsAgent: new https.Agent({
@@ -94,6 +143,7 @@ class TicketService {
         return {
           success: false,
           error: error.message,
+          retryable: this.isRetryableError(error),
           message: messages.tickets.creationError
         }
       }
@@ -101,71 +151,273 @@ class TicketService {
   }
 
   /**
-   * Parse ticket content to extract individual fields
-   * @param {string} content - formatted ticket content
-   * @returns {Object} - parsed fields
+   * Network errors, timeouts and 5xx/429 responses are worth retrying later
+   * @param {Error} error - axios error
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    const status = error?.response?.status
+    if (!status) {
+      return Boolean(error?.code || error?.request)
+    }
+    return status >= 500 || status === 429
+  }
+
+  /**
+   * Add follow-up comment (article) to an existing ticket
+   * @param {string|number} ticketId - Zammad ticket id
+   * @param {string} text - comment text
+   * @param {string} telegramId - telegram user id
+   * @param {Array<Object>} attachments - files {filename, mimeType, data (base64)}
+   * @returns {Promise<Object>} - {success, articleId, error}
+   */
+  async addArticle(ticketId, text, telegramId, attachments = []) {
+    try {
+      logger.info(`Adding follow-up to ticket ${ticketId} from user ${telegramId}`)
+
+      const requestBody = {
+        ticket_id: ticketId,
+        telegram_id: telegramId,
+        body: this.redactForServiceDesk(text),
+        source: 'telegram_bot',
+        attachments: attachments.map(file => ({
+          filename: file.filename,
+          data: file.data,
+          'mime-type': file.mimeType
+        }))
+      }
+
+      if (this.mode === 'debug') {
+        const loggedBody = {
+          ...requestBody,
+          attachments: requestBody.attachments.map(file => ({ ...file, data: `<${file.data.length} base64 chars>` }))
+        }
+        logger.info('DEBUG MODE: Would add article with data:', JSON.stringify(loggedBody, null, 2))
+        return { success: true, articleId: `DEBUG-${Date.now()}` }
+      }
+
+      const response = await axios.post(this.addArticleEndpoint, requestBody, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: this.timeout,
+        httpsAgent: new https.Agent({
+          rejectUnauthorized: false
+        })
+      })
+
+      const result = response.data
+
+      if (result.success) {
+        logger.info(`Follow-up added to ticket ${ticketId} for user ${telegramId}`)
+        return { success: true, articleId: result.article?.id }
+      } else {
+        throw new Error('Invalid response format from add article API')
+      }
+
+    } catch (error) {
+      const shortErr = error?.response?.status || error?.code || error?.message || 'unknown_error'
+      logger.error(`Add article error for ticket ${ticketId}: ${shortErr}`)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Get tickets owned by telegram user from Zammad Service Desk
+   * @param {string} telegramId - telegram user id
+   * @param {number} page - page number starting from 1
+   * @param {number} perPage - tickets per page
+   * @returns {Promise<Object>} - {success, tickets, total, page, pages}
+   */
+  async getUserTickets(telegramId, page = 1, perPage = 5) {
+    try {
+      logger.info(`Fetching tickets for user ${telegramId}, page ${page}`)
+
+      const response = await axios.post(this.userTicketsEndpoint, {
+        telegram_id: telegramId,
+        page,
+        per_page: perPage
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: this.timeout,
+        httpsAgent: new https.Agent({
+          rejectUnauthorized: false
+        })
+      })
+
+      const result = response.data
+
+      if (!result.success || !Array.isArray(result.tickets)) {
+        throw new Error('Invalid response format from user tickets API')
+      }
+
+      const total = Number.isInteger(result.total) ? result.total : result.tickets.length
+
+      return {
+        success: true,
+        tickets: result.tickets.map(ticket => this.normalizeTicketSummary(ticket)),
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / perPage))
+      }
+    } catch (error) {
+      const shortErr = error?.response?.status || error?.code || error?.message || 'unknown_error'
+      logger.error(`User tickets fetch error for ${telegramId}: ${shortErr}`)
+      return {
+        success: false,
+        error: error.message,
+        tickets: [],
+        total: 0,
+        page,
+        pages: 1
+      }
+    }
+  }
+
+  /**
+   * Get open tickets of a department (used for duplicate detection)
+   * @param {string} department - department id
+   * @returns {Promise<Array<Object>>} - tickets {id, number, title, description}
    */
-  parseTicketContent(content) {
-    const fields = {}
+  async getOpenTickets(department) {
+    if (this.mode === 'debug') {
+      logger.info(`DEBUG MODE: Would request open tickets of department ${department}`)
+      return []
+    }
 
-    // Extract title
-    const titleMatch = content.match(/📝\s*\*\*Заголовок:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.title = titleMatch ? titleMatch[1].trim() : ''
+    try {
+      const response = await axios.post(this.openTicketsEndpoint, {
+        group_id: this.getGroupId(department)
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: this.timeout,
+        httpsAgent: new https.Agent({
+          rejectUnauthorized: false
+        })
+      })
 
-    // Extract description
-    const descMatch = content.match(/📄\s*\*\*Опис:\*\*\s*(.+?)(?=\n[🔴🟡🟢⚫🌐⏰✅]|\n📊|\n👤|$)/s)
-    fields.description = descMatch ? descMatch[1].trim() : ''
+      const result = response.data
+      if (!result.success || !Array.isArray(result.tickets)) {
+        throw new Error('Invalid response format from open tickets API')
+      }
 
-    // Extract priority
-    const priorityMatch = content.match(/[🔴🟡🟢⚫]\s*\*\*Пріоритет:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.priority = priorityMatch ? priorityMatch[1].trim() : 'Medium'
+      return result.tickets.map(ticket => ({
+        id: ticket.id,
+        number: ticket.number || ticket.id,
+        title: ticket.title || '',
+        description: ticket.description || ticket.body || ''
+      }))
+    } catch (error) {
+      const shortErr = error?.response?.status || error?.code || error?.message || 'unknown_error'
+      logger.warn(`Open tickets fetch error for department ${department}: ${shortErr}`)
+      return []
+    }
+  }
 
-    // Extract department
-    const deptMatch = content.match(/💻\s*\*\*Відділ:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.department = deptMatch ? deptMatch[1].trim() : 'IT'
+  /**
+   * Normalize ticket summary returned by the API
+   * @param {Object} ticket - raw ticket from API
+   * @returns {Object} - {id, number, title, state, owner, updatedAt}
+   */
+  normalizeTicketSummary(ticket) {
+    const owner = ticket.owner && typeof ticket.owner === 'object'
+      ? [ticket.owner.firstname, ticket.owner.lastname].filter(Boolean).join(' ')
+      : ticket.owner
 
-    // Extract category
-    const categoryMatch = content.match(/📂\s*\*\*Категорія:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.category = categoryMatch ? categoryMatch[1].trim() : 'Request'
+    return {
+      id: ticket.id,
+      number: ticket.number || ticket.id,
+      title: ticket.title || messages.tickets.defaultTitle,
+      state: ticket.state?.name || ticket.state || '-',
+      owner: owner || '-',
+      updatedAt: ticket.updated_at || ticket.updatedAt || null
+    }
+  }
 
-    // Extract language
-    const langMatch = content.match(/🌐\s*\*\*Мова:\*\*\s*(.+?)(?=\n|$)/i)
-    fields.language = langMatch ? langMatch[1].trim() : 'Mixed'
+  /**
+   * Text as it may be stored in Service Desk (TICKET_REDACTION_MODE, TICKET_REDACTION_TYPES)
+   * @param {string} text - user text
+   * @returns {string} - masked text
+   */
+  redactForServiceDesk(text) {
+    if (this.redactionMode === 'none') {
+      return text
+    }
+
+    const result = redact(text, { mode: this.redactionMode, types: this.redactionTypes })
+    if (result.found.length > 0) {
+      logger.info(`Masked ${result.found.join(', ')} in text sent to Service Desk`)
+    }
+    return result.text
+  }
 
-    return fields
+  /**
+   * Copy of the ticket with masked free text fields, extracted detail fields are kept
+   */
+  redactTicket(ticket) {
+    return {
+      ...ticket,
+      title: this.redactForServiceDesk(ticket.title),
+      description: this.redactForServiceDesk(ticket.description),
+      additional_info: (ticket.additional_info || []).map(info => this.redactForServiceDesk(info))
+    }
   }
 
   /**
    * Format ticket body with all information including emojis
-   * @param {string} originalContent - full formatted content
-   * @param {Object} parsedFields - parsed individual fields  
+   * @param {Object} ticket - parsed ticket object
    * @returns {string} - formatted body for Zammad
    */
-  formatTicketBody(originalContent, parsedFields) {
+  formatTicketBody(ticket) {
+    return localization.run(this.serviceDeskLanguage, () => this.formatTicketBodyLines(ticket))
+  }
+
+  formatTicketBodyLines(ticket) {
+    const labels = uiMessages.ticketFields
     // Minimal structured body to send to Service Desk (avoid duplicating full preview)
     let body = ''
-    body += '📋 СТРУКТУРОВАНА ІНФОРМАЦІЯ:\n\n'
-    body += `📝 Заголовок: ${parsedFields.title}\n`
-    body += `📄 Опис: ${parsedFields.description}\n`
-    body += `💼 Відділ: ${parsedFields.department}\n`
-    body += `🤖 Створено через: AI Dialog Bot\n`
+    body += `📋 ${labels.structured}:\n\n`
+    body += `📝 ${labels.title}: ${ticket.title}\n`
+    body += `📄 ${labels.description}: ${ticket.description}\n`
+    if (ticket.additional_info && ticket.additional_info.length > 0) {
+      body += `🔄 ${labels.additionalInfo}: ${ticket.additional_info.join('\n')}\n`
+    }
+    if (ticket.room) body += `🚪 ${labels.room}: ${ticket.room}\n`
+    if (ticket.asset) body += `🏷 ${labels.asset}: ${ticket.asset}\n`
+    if (ticket.host) body += `🖥 ${labels.host}: ${ticket.host}\n`
+    if (ticket.phone) body += `📞 ${labels.phone}: ${ticket.phone}\n`
+    if (ticket.deadline) body += `⏳ ${labels.deadline}: ${formatDueDate(ticket.deadline)}\n`
+    body += `💼 ${labels.department}: ${ticket.department}\n`
+    body += `📂 ${labels.category}: ${this.getCategoryValue(ticket.category)}\n`
+    body += `🤖 ${labels.createdVia}: AI Dialog Bot\n`
 
     return body
   }
 
+  /**
+   * Zammad state of a new ticket: new, or pending reminder when the due date goes to pending_time
+   * @param {Object} ticket - parsed ticket object
+   * @returns {number} - state ID
+   */
+  getStateId(ticket) {
+    return ticket.deadline && this.dueDateField === 'pending_time' ? this.pendingStateId : 1
+  }
+
   /**
    * Map department to Zammad group ID
-   * @param {string} department - department name
+   * @param {string} department - department id or name
    * @returns {number} - group ID
    */
   getGroupId(department) {
-    const groupMapping = {
-      'IT': 1,
-      'HR': 2,
-      'Finance': 3,
-      'Support': 4
+    const dept = ticketConfig.getDepartment(department)
+    if (!dept) {
+      logger.warn(`Unknown department "${department}", using default group`)
     }
-    return groupMapping[department] || 1 // Default to IT
+    return (dept || ticketConfig.getDefaultDepartment()).groupId
   }
 
   /**
@@ -174,18 +426,16 @@ class TicketService {
    * @returns {number} - priority ID
    */
   getPriorityId(priority) {
-    const priorityMapping = {
-      'Low': 1,
-      'Medium': 2,
-      'High': 3,
-      'Critical': 4
-    }
+    return (ticketConfig.getPriority(priority) || ticketConfig.getDefaultPriority()).priorityId
+  }
 
-    const p = priority?.toLowerCase() || 'medium'
-    if (p.includes('low') || p.includes('низький') || p.includes('низкий')) return 1
-    if (p.includes('high') || p.includes('високий') || p.includes('высокий')) return 3
-    if (p.includes('critical') || p.includes('критичний') || p.includes('критический')) return 4
-    return 2 // Default to Medium
+  /**
+   * Map category to value of Zammad ticket category field
+   * @param {string} category - category id
+   * @returns {string} - Zammad field value
+   */
+  getCategoryValue(category) {
+    return (ticketConfig.getCategory(category) || ticketConfig.getDefaultCategory()).zammadValue
   }
 
   /**
@@ -0,0 +1,37 @@
+const path = require('path')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+require('dotenv').config()
+
+/**
+ * Durable per-user preferences (interface language chosen with /language).
+ * Unlike sessions they are not removed on inactivity, /start or /clear.
+ * Stored in USER_PREFERENCES_PATH
+ */
+class UserPreferences {
+  constructor() {
+    this.preferences = new JsonFileStore(
+      process.env.USER_PREFERENCES_PATH || path.join(__dirname, '../../data/userPreferences.json'),
+      { name: 'user preferences' }
+    )
+  }
+
+  /**
+   * Interface language chosen by the user
+   * @param {string} userId - user ID
+   * @returns {string|null} - language code or null when the user has not chosen one
+   */
+  getLanguage(userId) {
+    return this.preferences.get(userId)?.language || null
+  }
+
+  /**
+   * Save interface language chosen by the user
+   * @param {string} userId - user ID
+   * @param {string} language - language code
+   */
+  setLanguage(userId, language) {
+    this.preferences.set(userId, { ...this.preferences.get(userId), language })
+  }
+}
+
+module.exports = new UserPreferences()
@@ -0,0 +1,282 @@
+const http = require('http')
+const crypto = require('crypto')
+const path = require('path')
+const logger = require('../utils/logger')
+const { JsonFileStore } = require('../utils/jsonFileStore')
+const sessionService = require('./session')
+const localization = require('./localization')
+const { uiMessages } = localization
+require('dotenv').config()
+
+const MAX_BODY_SIZE = 1024 * 1024 // 1 MB
+// State of tickets created by the bot (state_id 1) before the first webhook
+const INITIAL_STATE = 'new'
+
+class WebhookServer {
+  constructor() {
+    this.enabled = process.env.ENABLE_WEBHOOK === 'true'
+    this.port = parseInt(process.env.WEBHOOK_PORT) || 8090
+    this.path = process.env.WEBHOOK_PATH || '/zammad/webhook'
+    this.secret = process.env.WEBHOOK_SECRET || ''
+    // Last known state per ticket: Zammad sends the current state only, so changes are detected here
+    this.ticketStates = null
+    this.server = null
+    this.bot = null
+  }
+
+  /**
+   * Remember ticket state
+   * @param {string} ticketId - Zammad ticket id
+   * @param {string} state - current state name (lowercase)
+   * @returns {boolean} - whether the state differs from the last known one
+   */
+  recordState(ticketId, state) {
+    if ((this.ticketStates.get(ticketId) || INITIAL_STATE) === state) {
+      return false
+    }
+    this.ticketStates.set(ticketId, state)
+    return true
+  }
+
+  /**
+   * Start HTTP server for Zammad webhook/trigger notifications
+   * @param {Object} bot - telegram bot instance
+   */
+  start(bot) {
+    if (!this.enabled) {
+      return
+    }
+
+    if (!this.secret) {
+      logger.error('ENABLE_WEBHOOK is true but WEBHOOK_SECRET is not set, webhook server not started')
+      return
+    }
+
+    this.bot = bot
+    this.ticketStates = new JsonFileStore(
+      process.env.WEBHOOK_STATES_PATH || path.join(__dirname, '../../data/ticketStates.json'),
+      { name: 'ticket states' }
+    )
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('Webhook request handling error:', error.message)
+        this.sendResponse(res, error.statusCode || 500, { success: false })
+      })
+    })
+
+    // A busy port must not take the bot down, it keeps working without notifications
+    this.server.on('error', (error) => {
+      logger.error(`Webhook server failed on port ${this.port}, notifications are disabled: ${error.message}`)
+      this.server = null
+    })
+
+    this.server.listen(this.port, () => {
+      logger.info(`🔔 Webhook server listening on port ${this.port}, path ${this.path}`)
+    })
+  }
+
+  /**
+   * Stop HTTP server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  /**
+   * Handle incoming HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+
+    if (url.pathname !== this.path) {
+      this.sendResponse(res, 404, { success: false })
+      return
+    }
+
+    if (req.method !== 'POST') {
+      this.sendResponse(res, 405, { success: false })
+      return
+    }
+
+    const rawBody = await this.readBody(req)
+
+    if (!this.isAuthorized(req, url, rawBody)) {
+      logger.warn(`Webhook request rejected: invalid secret from ${req.socket.remoteAddress}`)
+      this.sendResponse(res, 401, { success: false })
+      return
+    }
+
+    let payload
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'))
+    } catch (error) {
+      this.sendResponse(res, 400, { success: false, error: 'invalid_json' })
+      return
+    }
+
+    const delivered = await this.notifyUser(payload)
+    this.sendResponse(res, 202, { success: true, delivered })
+  }
+
+  /**
+   * Read request body with size limit
+   * @returns {Promise<Buffer>}
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      let size = 0
+
+      req.on('data', chunk => {
+        size += chunk.length
+        if (size > MAX_BODY_SIZE) {
+          const error = new Error('Webhook payload too large')
+          error.statusCode = 413
+          reject(error)
+          req.destroy()
+          return
+        }
+        chunks.push(chunk)
+      })
+      req.on('end', () => resolve(Buffer.concat(chunks)))
+      req.on('error', reject)
+    })
+  }
+
+  /**
+   * Check shared secret: Zammad HMAC signature (X-Hub-Signature),
+   * X-Webhook-Secret header or ?secret= query parameter
+   */
+  isAuthorized(req, url, rawBody) {
+    const signature = req.headers['x-hub-signature']
+    if (signature) {
+      const expected = 'sha1=' + crypto.createHmac('sha1', this.secret).update(rawBody).digest('hex')
+      return this.safeEqual(signature, expected)
+    }
+
+    const token = req.headers['x-webhook-secret'] || url.searchParams.get('secret') || ''
+    return this.safeEqual(token, this.secret)
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a))
+    const bufB = Buffer.from(String(b))
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+  }
+
+  /**
+   * Determine event type from webhook payload. Customer articles, internal notes and
+   * edits that keep the state are not reported
+   * @param {Object} payload - Zammad webhook payload
+   * @returns {string|null} - closed, article, state or null when there is nothing to report
+   */
+  getEventType(payload) {
+    if (payload.event) {
+      return payload.event
+    }
+
+    const ticket = payload.ticket
+    const state = (ticket?.state?.name || ticket?.state || '').toString().toLowerCase()
+    const stateChanged = Boolean(state) && this.recordState(String(ticket.id || ticket.number), state)
+    if (stateChanged && state === 'closed') {
+      return 'closed'
+    }
+
+    const article = payload.article
+    const sender = (article?.sender?.name || article?.sender || '').toString()
+    if (article && !article.internal && sender === 'Agent') {
+      return 'article'
+    }
+
+    return stateChanged ? 'state' : null
+  }
+
+  /**
+   * Notification text in the current interface language
+   * @param {string} event - event type from getEventType
+   * @param {Object} payload - Zammad webhook payload
+   * @returns {string|null} - text or null for unsupported events
+   */
+  formatNotification(event, payload) {
+    const ticket = payload.ticket
+    const number = ticket.number || ticket.id
+    const title = ticket.title || ''
+
+    switch (event) {
+      case 'closed':
+        return uiMessages.notifications.closed(number, title)
+      case 'article':
+        return uiMessages.notifications.newArticle(number, title, this.stripHtml(payload.article.body || ''))
+      case 'state':
+        return uiMessages.notifications.stateChanged(number, title, ticket.state?.name || ticket.state || '-')
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Forward formatted notification to the telegram user who created the ticket
+   * @param {Object} payload - Zammad webhook payload
+   * @returns {Promise<boolean>} - whether notification was sent
+   */
+  async notifyUser(payload) {
+    const ticket = payload.ticket
+    const telegramId = payload.telegram_id || ticket?.telegram_id || ticket?.customer?.telegram_id
+
+    if (!ticket || !telegramId) {
+      logger.warn(`Webhook payload ignored: no ticket or telegram_id (ticket ${ticket?.id})`)
+      return false
+    }
+
+    const event = this.getEventType(payload)
+    const number = ticket.number || ticket.id
+    if (!event) {
+      logger.info(`Webhook update for ticket ${number} ignored: no state change or agent reply`)
+      return false
+    }
+
+    const language = sessionService.getLanguage(telegramId.toString())
+    const text = localization.run(language, () => this.formatNotification(event, payload))
+
+    if (!text) {
+      logger.warn(`Webhook event ${event} for ticket ${number} is not supported`)
+      return false
+    }
+
+    try {
+      await this.bot.sendMessage(telegramId, text)
+      logger.info(`Webhook notification (${event}) for ticket ${number} sent to user ${telegramId}`)
+      return true
+    } catch (error) {
+      logger.error(`Failed to send webhook notification for ticket ${number} to user ${telegramId}:`, error.message)
+      return false
+    }
+  }
+
+  stripHtml(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  }
+
+  sendResponse(res, statusCode, body) {
+    if (res.headersSent) {
+      return
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+}
+
+module.exports = new WebhookServer()
@@ -0,0 +1,97 @@
+/**
+ * Checks used by ticket validation rules (src/config/validationRules.json).
+ * Each check gets the ticket text and the rule params and returns true when the rule fires
+ */
+
+const { tokenize } = require('./textSimilarity')
+
+const VOWELS = /[aeiouyаеєиіїоуюяыэё]/
+// Keyboard rows of Latin, Ukrainian and Russian layouts: "qwerty", "фыва", "йцукен" are typed, not written
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'йцукенгшщзхї', 'фівапролджє', 'йцукенгшщзхъ', 'фывапролджэ', 'ячсмитьбю']
+const MIN_KEYBOARD_RUN = 4
+// Syllable typed over and over: "asasas", "лалала"
+const REPEATED_SYLLABLE = /^(\p{L}{2,3})\1{2,}$/u
+// Abbreviations (VPN, HTML, CRM) have no vowels either, so only longer words count
+const MIN_VOWELLESS_LENGTH = 6
+const CONSONANT_RUN = /[^aeiouyаеєиіїоуюяыэё]{6,}/
+
+function letterWords(text) {
+  return tokenize(text).filter(word => /\p{L}/u.test(word))
+}
+
+/**
+ * Word that looks like random typing rather than a word of any language
+ */
+function isGibberishWord(word) {
+  if (!/^\p{L}+$/u.test(word) || word.length < 4) {
+    return false
+  }
+  if (REPEATED_SYLLABLE.test(word)) {
+    return true
+  }
+  if (word.length >= MIN_KEYBOARD_RUN && KEYBOARD_ROWS.some(row => row.includes(word))) {
+    return true
+  }
+  return (!VOWELS.test(word) && word.length >= MIN_VOWELLESS_LENGTH) || CONSONANT_RUN.test(word)
+}
+
+/**
+ * True when the tokens are one phrase repeated one or more times ("бла бла бла")
+ */
+function isRepeatedPhrase(tokens, phraseTokens) {
+  if (phraseTokens.length === 0 || tokens.length === 0 || tokens.length % phraseTokens.length !== 0) {
+    return false
+  }
+  return tokens.every((token, i) => token === phraseTokens[i % phraseTokens.length])
+}
+
+const RULE_CHECKS = {
+  // params: {min} - characters after trimming
+  minLength: (text, { min }) => text.trim().length < min,
+
+  // params: {maxRepeat, lettersOnly} - same character more than maxRepeat times in a row ("ааааааа");
+  // with lettersOnly, digits and punctuation ("10000", "!!!!!", "-----") are not counted
+  repeatedCharacters: (text, { maxRepeat, lettersOnly = false }) => {
+    const character = lettersOnly ? '\\p{L}' : '.'
+    return new RegExp(`(${character})\\1{${maxRepeat},}`, 'u').test(text.toLowerCase())
+  },
+
+  // params: {phrases} - the whole text is one of the phrases, possibly repeated ("тест", "бла-бла-бла")
+  blockedPhrases: (text, { phrases }) => {
+    const tokens = tokenize(text)
+    return phrases.some(phrase => isRepeatedPhrase(tokens, tokenize(phrase)))
+  },
+
+  // params: {min, fillerWords} - words with letters, longer than one character and not filler words
+  minMeaningfulWords: (text, { min, fillerWords = [] }) => {
+    const meaningful = letterWords(text).filter(word => word.length > 1 && !fillerWords.includes(word))
+    return meaningful.length < min
+  },
+
+  // params: {words} - any word starting with one of the listed roots
+  profanity: (text, { words }) => {
+    const roots = words.map(word => word.toLowerCase())
+    return tokenize(text).some(token => roots.some(root => token.startsWith(root)))
+  },
+
+  // params: {minShare} - share of words that look like random typing (no vowels, keyboard runs, repeated syllables)
+  gibberish: (text, { minShare }) => {
+    const words = letterWords(text)
+    if (words.length === 0) {
+      return false
+    }
+    return words.filter(isGibberishWord).length / words.length >= minShare
+  }
+}
+
+// Params each rule type must define (numbers or arrays)
+const RULE_PARAMS = {
+  minLength: { min: 'number' },
+  repeatedCharacters: { maxRepeat: 'number' },
+  blockedPhrases: { phrases: 'array' },
+  minMeaningfulWords: { min: 'number' },
+  profanity: { words: 'array' },
+  gibberish: { minShare: 'number' }
+}
+
+module.exports = { RULE_CHECKS, RULE_PARAMS, isGibberishWord }
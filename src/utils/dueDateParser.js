@@ -0,0 +1,315 @@
+/**
+ * Due date extraction from natural language (Ukrainian, Russian, English).
+ * Understands relative dates (завтра, через 2 дні, in 3 hours, до п'ятниці),
+ * absolute dates (20.10, 20.10.2026, 15 жовтня, October 15) and times (до 15:00, at 3pm)
+ */
+
+// Deadline without explicit time means end of the working day
+const END_OF_DAY_HOUR = 18
+// Date without a year passed longer ago than this is meant for next year
+const MAX_PAST_DAYS = 183
+
+// \b does not work with Cyrillic, so word starts are checked with lookbehind
+const W = '(?<![\\p{L}\\d])'
+
+// Month word forms: Ukrainian, Russian, English full name, English abbreviation.
+// Whole words only, so "separate" or "червоних" are not months
+const MONTHS = [
+  ['січ(?:ня|ень)', 'январ[яь]', 'january', 'jan'],
+  ['лют(?:ого|ий)', 'феврал[яь]', 'february', 'feb'],
+  ['берез(?:ня|ень)', 'марта?', 'march', 'mar'],
+  ['квіт(?:ня|ень)', 'апрел[яь]', 'april', 'apr'],
+  ['трав(?:ня|ень)', 'ма[яй]', 'may', 'may'],
+  ['черв(?:ня|ень)', 'июн[яь]', 'june', 'jun'],
+  ['лип(?:ня|ень)', 'июл[яь]', 'july', 'jul'],
+  ['серп(?:ня|ень)', 'августа?', 'august', 'aug'],
+  ['верес(?:ня|ень)', 'сентябр[яь]', 'september', 'sept?'],
+  ['жовт(?:ня|ень)', 'октябр[яь]', 'october', 'oct'],
+  ['листопада?', 'ноябр[яь]', 'november', 'nov'],
+  ['груд(?:ня|ень)', 'декабр[яь]', 'december', 'dec']
+]
+
+// Indexes match Date.getDay(). Singular forms only, "по вторникам" is not a deadline
+const WEEKDAYS = [
+  ['неділ[яію]', 'воскресень[ея]', 'sunday'],
+  ['понеділ(?:ок|ка)', 'понедельник[ау]?', 'monday'],
+  ['вівтор(?:ок|ка)', 'вторник[ау]?', 'tuesday'],
+  ['серед[аиу]', 'сред[аыу]', 'wednesday'],
+  ['четвер(?:га)?', 'четверг[ау]?', 'thursday'],
+  ["п'?ятниц[яіюи]", 'пятниц[аыу]', 'friday'],
+  ['субот[аиу]', 'суббот[аыу]', 'saturday']
+]
+// Weekday is a deadline only after a cue word ("з понеділка" means since Monday)
+const WEEKDAY_CUE = '(?:до|в|у|во|на|к|by|on|until|before|this|next|наступн\\p{L}*|следующ\\p{L}*)\\s+'
+
+const NUMBER_WORDS = {
+  'один': 1, 'одну': 1, 'одна': 1, 'one': 1, 'a': 1, 'an': 1,
+  'два': 2, 'дві': 2, 'две': 2, 'two': 2,
+  'три': 3, 'three': 3,
+  "чотири": 4, 'четыре': 4, 'four': 4,
+  "п'ять": 5, 'пять': 5, 'five': 5
+}
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`
+
+// A day is a deadline only after a cue word: "з 15 жовтня не працює", "since October 12" and
+// "сьогодні зранку зламався" describe the incident, not the deadline
+const DAY_CUE = '(?:до|на|к|по|не пізніше|не позднее|by|until|before|on|for|due|no later than)\\s+(?:the\\s+)?'
+
+// "15 жовтня", "15 October". English abbreviations and "may" are too ambiguous here
+// ("Windows 10 jan update", "2 may fail"), they are accepted only before the day ("Jan 15")
+const DAY_MONTH_FORMS = MONTHS.map(forms => forms.slice(0, 3).filter(form => form !== 'may'))
+const DAY_MONTH = `(\\d{1,2})\\s+(${DAY_MONTH_FORMS.flat().join('|')})(?![\\p{L}])`
+const MONTH_DAY = `(${MONTHS.map(forms => forms.slice(2).join('|')).join('|')})\\.?\\s+(\\d{1,2})(?!\\d)`
+const NUMERIC_DATE_WITH_YEAR = '(?<![\\d.:/])(\\d{1,2})[./](\\d{1,2})[./](\\d{4}|\\d{2})(?![\\d.:/]\\d)'
+// Without a year only after a cue word, otherwise versions like "8.3" would become dates
+const NUMERIC_DATE = '(\\d{1,2})[./](\\d{1,2})(?![\\d:]|[./]\\d)'
+
+function datePatterns(cue) {
+  return {
+    numericWithYear: new RegExp(`${W}${cue}${NUMERIC_DATE_WITH_YEAR}`, 'iu'),
+    numeric: new RegExp(`${W}${cue}${NUMERIC_DATE}`, 'iu'),
+    dayMonth: new RegExp(`${W}${cue}${DAY_MONTH}`, 'iu'),
+    monthDay: new RegExp(`${W}${cue}${MONTH_DAY}`, 'iu')
+  }
+}
+const CUE_DATE_PATTERNS = datePatterns(DAY_CUE)
+const DATE_PATTERNS = datePatterns(`(?:${DAY_CUE})?`)
+
+const IN_HOURS_PATTERN = new RegExp(`${W}(?:через|in)\\s+${NUMBER}?\\s*(годин\\p{L}*|час\\p{L}*|hours?|хвилин\\p{L}*|минут\\p{L}*|minutes?)`, 'iu')
+const IN_DAYS_PATTERN = new RegExp(`${W}(?:через|in)\\s+${NUMBER}?\\s*(дн\\p{L}*|день|днів|дня|дней|days?|тижн\\p{L}*|тиждень|недел\\p{L}*|weeks?)`, 'iu')
+
+// Time alone is a deadline only after a cue word ("з 9:00 не працює" is not a deadline)
+const TIME_CUE = '(?:до|о|об|в|к|на|at|by|until|before)\\s+'
+const TIME_PATTERN = /(?<![\d.:])([01]?\d|2[0-3]):([0-5]\d)(?!\d)/
+const CUE_TIME_PATTERN = new RegExp(`${W}${TIME_CUE}([01]?\\d|2[0-3])[:.]([0-5]\\d)(?![\\d.])`, 'iu')
+const AM_PM_PATTERN = /(?<![\d.:])(1[0-2]|0?[1-9])\s*(am|pm)\b/i
+const CUE_AM_PM_PATTERN = new RegExp(`${W}${TIME_CUE}(1[0-2]|0?[1-9])\\s*(am|pm)\\b`, 'i')
+
+/**
+ * Parse number written with digits or as a small number word
+ */
+function parseNumber(value) {
+  if (!value) {
+    return 1
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : NUMBER_WORDS[value.toLowerCase()] || 1
+}
+
+function startOfDay(date) {
+  const result = new Date(date)
+  result.setHours(0, 0, 0, 0)
+  return result
+}
+
+function addDays(date, days) {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+/**
+ * Build date checking that day/month are valid (no overflow into next month)
+ */
+function buildDate(year, month, day) {
+  const date = new Date(year, month, day)
+  return date.getMonth() === month && date.getDate() === day ? date : null
+}
+
+/**
+ * Date without year is this year's date or, when it was more than half a year ago, next year's
+ * ("до 10 січня" written in December). A recently passed date is not moved a year ahead
+ */
+function nearestDate(now, month, day, year = null) {
+  if (year !== null) {
+    return buildDate(year < 100 ? 2000 + year : year, month, day)
+  }
+  const date = buildDate(now.getFullYear(), month, day)
+  if (date && date < addDays(startOfDay(now), -MAX_PAST_DAYS)) {
+    return buildDate(now.getFullYear() + 1, month, day)
+  }
+  return date
+}
+
+function findMonth(word) {
+  const lower = word.toLowerCase()
+  return MONTHS.findIndex(forms => forms.some(form => new RegExp(`^(?:${form})$`, 'iu').test(lower)))
+}
+
+/**
+ * Absolute date: 20.10.2026, 20.10, 15 жовтня, October 15
+ * @returns {Object|null} - {day, matched}, day is null for an invalid date
+ */
+function findAbsoluteDay(text, now, patterns) {
+  let match = text.match(patterns.numericWithYear)
+  if (match) {
+    return { day: nearestDate(now, parseInt(match[2]) - 1, parseInt(match[1]), parseInt(match[3])), matched: match[0] }
+  }
+
+  match = text.match(patterns.numeric)
+  if (match) {
+    const day = nearestDate(now, parseInt(match[2]) - 1, parseInt(match[1]))
+    if (day) {
+      return { day, matched: match[0] }
+    }
+  }
+
+  match = text.match(patterns.dayMonth)
+  if (match) {
+    return { day: nearestDate(now, findMonth(match[2]), parseInt(match[1])), matched: match[0] }
+  }
+
+  match = text.match(patterns.monthDay)
+  if (match) {
+    return { day: nearestDate(now, findMonth(match[1]), parseInt(match[2])), matched: match[0] }
+  }
+
+  return null
+}
+
+/**
+ * Find target day (start of day) in text
+ * @param {boolean} requireCue - accept dates and today/tomorrow only after a cue word
+ * @returns {Object|null} - {day, matched} where matched is the date text (not searched for time)
+ */
+function findDay(text, now, requireCue) {
+  const patterns = requireCue ? CUE_DATE_PATTERNS : DATE_PATTERNS
+
+  const absolute = findAbsoluteDay(text, now, patterns)
+  if (absolute) {
+    // A date that has already passed is not a deadline
+    return absolute.day && absolute.day >= startOfDay(now) ? absolute : null
+  }
+
+  const day = findRelativeDay(text, now, requireCue)
+  return day ? { day, matched: '' } : null
+}
+
+/**
+ * Relative day: today/tomorrow, in N days, end of week, weekday
+ * @param {boolean} requireCue - accept today/tomorrow only after a cue word
+ * @returns {Date|null}
+ */
+function findRelativeDay(text, now, requireCue) {
+  const today = startOfDay(now)
+  const cue = requireCue ? DAY_CUE : `(?:${DAY_CUE})?`
+
+  if (new RegExp(`${W}${cue}(?:післязавтра|послезавтра|day after tomorrow)(?![\\p{L}])`, 'iu').test(text)) {
+    return addDays(today, 2)
+  }
+  if (new RegExp(`${W}${cue}(?:завтра|tomorrow)(?![\\p{L}])`, 'iu').test(text)) {
+    return addDays(today, 1)
+  }
+  if (new RegExp(`${W}${cue}(?:сьогодні|сегодня|today|tonight)(?![\\p{L}])`, 'iu').test(text)) {
+    return today
+  }
+  if (new RegExp(`${W}(?:кінц\\p{L}* (?:робочого )?дня|конц\\p{L}* (?:рабочего )?дня|end of (?:the )?day|eod)`, 'iu').test(text)) {
+    return today
+  }
+
+  const match = text.match(IN_DAYS_PATTERN)
+  if (match) {
+    const count = parseNumber(match[1])
+    const isWeek = /^(тиж|тижн|недел|week)/i.test(match[2])
+    return addDays(today, isWeek ? count * 7 : count)
+  }
+
+  if (new RegExp(`${W}(?:кінц\\p{L}* тижня|конц\\p{L}* недели|end of (?:the )?week)`, 'iu').test(text)) {
+    return addDays(today, (5 - today.getDay() + 7) % 7)
+  }
+
+  for (let weekday = 0; weekday < WEEKDAYS.length; weekday++) {
+    const pattern = new RegExp(`${W}${WEEKDAY_CUE}(?:${WEEKDAYS[weekday].join('|')})(?![\\p{L}])`, 'iu')
+    if (pattern.test(text)) {
+      return addDays(today, (weekday - today.getDay() + 7) % 7 || 7)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Find time of day in text
+ * @param {string} text - text to search
+ * @param {boolean} requireCue - accept only times after a cue word
+ * @returns {Object|null} - {hours, minutes}
+ */
+function findTime(text, requireCue) {
+  let match = text.match(CUE_TIME_PATTERN) || (!requireCue && text.match(TIME_PATTERN))
+  if (match) {
+    return { hours: parseInt(match[1]), minutes: parseInt(match[2]) }
+  }
+
+  match = text.match(CUE_AM_PM_PATTERN) || (!requireCue && text.match(AM_PM_PATTERN))
+  if (match) {
+    const hours = parseInt(match[1]) % 12 + (match[2].toLowerCase() === 'pm' ? 12 : 0)
+    return { hours, minutes: 0 }
+  }
+
+  return null
+}
+
+/**
+ * Extract due date from text
+ * @param {string} text - ticket text
+ * @param {Date} now - reference time
+ * @param {Object} options - {requireCue: false} when the whole text is a deadline (edited "Deadline" field)
+ * @returns {Date|null} - due date or null when text has no deadline
+ */
+function parseDueDate(text, now = new Date(), { requireCue = true } = {}) {
+  if (!text) {
+    return null
+  }
+  const normalized = text.replace(/[ʼ’`]/g, "'")
+
+  const inHours = normalized.match(IN_HOURS_PATTERN)
+  if (inHours) {
+    const count = parseNumber(inHours[1])
+    const isMinutes = /^(хвилин|минут|minute)/i.test(inHours[2])
+    return new Date(now.getTime() + count * (isMinutes ? 60 : 3600) * 1000)
+  }
+
+  let found = findDay(normalized, now, requireCue)
+  if (!found && findTime(normalized, true)) {
+    // A deadline time makes a bare "завтра"/"today" part of the deadline
+    const relativeDay = findRelativeDay(normalized, now, false)
+    found = relativeDay ? { day: relativeDay, matched: '' } : null
+  }
+  const day = found?.day || null
+  const time = found ? findTime(normalized.replace(found.matched, ' '), false) : findTime(normalized, requireCue)
+
+  if (!day && !time) {
+    return null
+  }
+
+  if (!day) {
+    // Only time given: today, or tomorrow if that time has already passed
+    const due = startOfDay(now)
+    due.setHours(time.hours, time.minutes)
+    return due > now ? due : addDays(due, 1)
+  }
+
+  const due = new Date(day)
+  if (time) {
+    due.setHours(time.hours, time.minutes)
+  } else {
+    due.setHours(END_OF_DAY_HOUR, 0)
+  }
+  return due
+}
+
+/**
+ * Format due date for preview and ticket body
+ * @param {string|Date} date - due date
+ * @returns {string} - date like "23.10.2026, 18:00"
+ */
+function formatDueDate(date) {
+  return new Date(date).toLocaleString('uk-UA', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+module.exports = { parseDueDate, formatDueDate }
@@ -0,0 +1,115 @@
+const fs = require('fs')
+const path = require('path')
+const logger = require('./logger')
+
+/**
+ * Map kept in a JSON object file, shared by the durable stores (sessions, outbox, preferences).
+ * Writes go to a temp file renamed over the old one, so a crash never leaves a partial file
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - path to JSON file
+   * @param {Object} options - store options
+   * @param {string} options.name - what is stored, for log messages ("sessions")
+   * @param {number} options.writeDelay - delay in ms to batch several updates into one write, 0 writes right away
+   * @param {Function} options.revive - restores a loaded value, e.g. date fields
+   */
+  constructor(filePath, { name = 'entries', writeDelay = 0, revive = value => value } = {}) {
+    this.filePath = filePath
+    this.name = name
+    this.writeDelay = writeDelay
+    this.writeTimer = null
+    this.data = new Map()
+    this.load(revive)
+  }
+
+  load(revive) {
+    if (!fs.existsSync(this.filePath)) {
+      return
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      for (const [key, value] of Object.entries(raw)) {
+        this.data.set(key, revive(value))
+      }
+      logger.info(`Loaded ${this.data.size} ${this.name} from ${this.filePath}`)
+    } catch (error) {
+      logger.error(`Failed to load ${this.name} from ${this.filePath}:`, error.message)
+    }
+  }
+
+  get(key) {
+    return this.data.get(key)
+  }
+
+  has(key) {
+    return this.data.has(key)
+  }
+
+  set(key, value) {
+    this.data.set(key, value)
+    this.save()
+    return this
+  }
+
+  delete(key) {
+    const deleted = this.data.delete(key)
+    if (deleted) {
+      this.save()
+    }
+    return deleted
+  }
+
+  keys() {
+    return this.data.keys()
+  }
+
+  values() {
+    return this.data.values()
+  }
+
+  entries() {
+    return this.data.entries()
+  }
+
+  get size() {
+    return this.data.size
+  }
+
+  /**
+   * Persist changes, also after a stored value was changed in place
+   */
+  save() {
+    if (!this.writeDelay) {
+      this.flush()
+      return
+    }
+    if (this.writeTimer) {
+      return
+    }
+    this.writeTimer = setTimeout(() => this.flush(), this.writeDelay)
+    this.writeTimer.unref()
+  }
+
+  /**
+   * Write pending changes to disk now
+   */
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer)
+      this.writeTimer = null
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      const tempPath = `${this.filePath}.tmp`
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.data)), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      logger.error(`Failed to save ${this.name} to ${this.filePath}:`, error.message)
+    }
+  }
+}
+
+module.exports = { JsonFileStore }
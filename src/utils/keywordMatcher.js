@@ -0,0 +1,105 @@
+/**
+ * Token-aware keyword matching with a light Ukrainian/Russian stemmer.
+ * Keywords match whole words only ("ip" does not match "typical"),
+ * inflected forms share a stem ("принтера" matches "принтер")
+ * and multi-word keywords match as consecutive words ("не працює")
+ */
+
+const { tokenize } = require('./textSimilarity')
+
+// Noun, adjective and verb endings (uk + ru), longest are tried first
+const CYRILLIC_ENDINGS = [
+  'ування', 'ювання', 'ання', 'ення', 'іями', 'ями', 'ами', 'ими', 'іми', 'ыми',
+  'ого', 'ому', 'его', 'ему', 'ові', 'еві', 'ією', 'ють', 'ують', 'юють', 'ають', 'яють',
+  'ает', 'яет', 'ают', 'яют', 'ати', 'ити', 'яти', 'іти',
+  'ала', 'ила', 'ало', 'ило', 'али', 'или', 'ует', 'ать', 'ить', 'еть',
+  'их', 'ій', 'ий', 'ый', 'ой', 'ої', 'ою', 'ею', 'єю', 'ів', 'ов', 'ев', 'ей',
+  'ам', 'ям', 'ах', 'ях', 'ом', 'ем', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ую', 'юю',
+  'ії', 'ія', 'ію', 'ує', 'ює', 'ає', 'яє', 'ет', 'ит', 'ут', 'ют', 'ти', 'ть', 'ал', 'ил', 'ла', 'ло', 'ли',
+  'а', 'я', 'у', 'ю', 'і', 'ї', 'и', 'ы', 'е', 'є', 'о', 'ь', 'й'
+].sort((a, b) => b.length - a.length)
+
+// Infinitive endings whose "т" can also close a noun stem: "пошти" (пошта), "зарплати" (зарплата), "сайти" (сайт)
+const INFINITIVE_ENDINGS = ['ати', 'ити', 'яти', 'іти', 'ать', 'ить', 'еть', 'ти', 'ть']
+const REFLEXIVE_ENDINGS = ['ся', 'сь']
+const MIN_STEM_LENGTH = 3
+
+const keywordCache = new Map()
+
+function stripEnding(word, endings) {
+  const ending = endings.find(e => word.endsWith(e) && word.length - e.length >= MIN_STEM_LENGTH)
+  return ending ? word.slice(0, -ending.length) : word
+}
+
+/**
+ * Light stemmer: removes reflexive suffix and one inflection ending from Cyrillic words,
+ * plural "s" from Latin ones. Short words are kept as is
+ * @param {string} word - lowercase token
+ * @returns {string} - stem
+ */
+function stem(word) {
+  if (!/[а-яёіїєґ]/.test(word)) {
+    return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word
+  }
+  return stripEnding(stripEnding(word, REFLEXIVE_ENDINGS), CYRILLIC_ENDINGS)
+}
+
+/**
+ * Possible stems of a word: the stem and, when an infinitive ending was removed,
+ * the noun reading that keeps "т"
+ * @param {string} word - lowercase token
+ * @returns {Array<string>} - stems
+ */
+function stemVariants(word) {
+  const primary = stem(word)
+  const base = stripEnding(word, REFLEXIVE_ENDINGS)
+  const ending = base.slice(primary.length)
+  if (base !== word || !INFINITIVE_ENDINGS.includes(ending)) {
+    return [primary]
+  }
+  return [primary, base.slice(0, primary.length + ending.indexOf('т') + 1)]
+}
+
+/**
+ * Tokenize and stem text once for matching many keywords
+ * @param {string} text - text to analyze
+ * @returns {Object} - {words, stems, variants}
+ */
+function prepareText(text) {
+  const words = tokenize(text)
+  return { words, stems: words.map(stem), variants: words.map(stemVariants) }
+}
+
+function prepareKeyword(keyword) {
+  if (!keywordCache.has(keyword)) {
+    keywordCache.set(keyword, prepareText(keyword))
+  }
+  return keywordCache.get(keyword)
+}
+
+/**
+ * Find keyword in prepared text as a sequence of stems
+ * @param {Object} prepared - result of prepareText
+ * @param {string} keyword - single word or phrase
+ * @returns {Object|null} - {exact} where exact means the same word forms, null if not found
+ */
+function matchKeyword(prepared, keyword) {
+  const { words, variants } = prepareKeyword(keyword)
+  if (variants.length === 0) {
+    return null
+  }
+
+  let found = null
+  for (let i = 0; i <= prepared.variants.length - variants.length; i++) {
+    if (variants.every((keywordStems, j) => keywordStems.some(s => prepared.variants[i + j].includes(s)))) {
+      const exact = words.every((w, j) => prepared.words[i + j] === w)
+      if (exact) {
+        return { exact: true }
+      }
+      found = { exact: false }
+    }
+  }
+  return found
+}
+
+module.exports = { stem, stemVariants, prepareText, matchKeyword }
@@ -0,0 +1,245 @@
+/**
+ * Language detection for Ukrainian, Russian, English and Surzhyk (mixed Ukrainian/Russian)
+ * using character n-gram profiles built from the sample texts below.
+ * Words with letters of only one alphabet (і, ї, є, ґ or ы, э, ъ, ё) and common words of only one
+ * language ("шо", "трохи", "что", "очень") vote for that language, other words are scored against
+ * each profile; short words and words that fit all profiles about equally ("принтер", "не", "на")
+ * are ignored, the rest vote for their language with a weight growing with the score margin
+ */
+
+const { tokenize } = require('./textSimilarity')
+
+// Sample texts the n-gram profiles are built from: service desk phrasing and everyday language
+const SAMPLES = {
+  uk: `Доброго дня. У мене не працює принтер, він не друкує документи і видає помилку.
+    Будь ласка, допоможіть якнайшвидше, бо треба надрукувати звіт до кінця дня.
+    Після оновлення комп'ютер дуже повільно завантажується, а інтернет постійно зникає.
+    Не можу увійти до пошти, пароль не підходить, прошу скинути пароль та надати доступ.
+    Потрібно встановити програму на ноутбук нового співробітника, який вийде на роботу в понеділок.
+    Зламався монітор у кабінеті бухгалтерії, екран блимає та іноді зовсім гасне.
+    Чи можна отримати доступ до спільної папки відділу кадрів? Мені це потрібно для роботи.
+    Телефон не з'єднується з мережею, а сканер перестав бачити комп'ютер ще вчора ввечері.
+    Будь ласка, замініть картридж у принтері, який стоїть біля вікна на третьому поверсі.
+    Дякую за швидку відповідь, проблему вирішено, можна закривати заявку.
+    Якщо є питання, телефонуйте мені, я буду на місці до шостої години.
+    Також прошу перевірити, чому не відкриваються файли на сервері, це дуже терміново.
+    Ми вже кілька разів перезавантажували систему, але нічого не змінилося, треба щось робити.
+    Хочу дізнатися, коли буде готове замовлення та хто відповідає за цю справу.
+    Її комп'ютер теж не вмикається, вона чекає на майстра з самого ранку.
+    Підкажіть, будь ласка, як підключитися до мережі з дому через захищене з'єднання.
+    Шо там знову сталося? Взагалі нічого не відкривається, зробіть щось одразу, щоб ми могли працювати.
+    Зараз усе ще гірше, ніж учора, тільки тут і там щось вантажиться, а де решта, я не знаю.
+    Сьогодні теж ніхто не прийшов, чому ніхто не відповідає? Добре, чекаю, але дуже прошу поспішити.
+    Ні, це не те, що я просив. Так, треба ще раз перевірити, шоб більше такого не було.`,
+  ru: `Добрый день. У меня не работает принтер, он не печатает документы и выдаёт ошибку.
+    Пожалуйста, помогите как можно скорее, потому что нужно распечатать отчёт до конца дня.
+    После обновления компьютер очень медленно загружается, а интернет постоянно пропадает.
+    Не могу войти в почту, пароль не подходит, прошу сбросить пароль и предоставить доступ.
+    Нужно установить программу на ноутбук нового сотрудника, который выйдет на работу в понедельник.
+    Сломался монитор в кабинете бухгалтерии, экран мигает и иногда совсем гаснет.
+    Можно ли получить доступ к общей папке отдела кадров? Мне это нужно для работы.
+    Телефон не соединяется с сетью, а сканер перестал видеть компьютер ещё вчера вечером.
+    Пожалуйста, замените картридж в принтере, который стоит у окна на третьем этаже.
+    Спасибо за быстрый ответ, проблема решена, можно закрывать заявку.
+    Если есть вопросы, звоните мне, я буду на месте до шести часов.
+    Также прошу проверить, почему не открываются файлы на сервере, это очень срочно.
+    Мы уже несколько раз перезагружали систему, но ничего не изменилось, надо что-то делать.
+    Хочу узнать, когда будет готов заказ и кто отвечает за это дело.
+    Её компьютер тоже не включается, она ждёт мастера с самого утра.
+    Подскажите, пожалуйста, как подключиться к сети из дома через защищённое соединение.
+    Что там опять случилось? Вообще ничего не открывается, сделайте что-нибудь сразу, чтобы мы могли работать.
+    Сейчас всё ещё хуже, чем вчера, только здесь и там что-то грузится, а где остальное, я не знаю.
+    Сегодня тоже никто не пришёл, почему никто не отвечает? Хорошо, жду, но очень прошу поторопиться.
+    Нет, это не то, что я просил. Да, надо ещё раз проверить, чтобы больше такого не было.`,
+  en: `Good afternoon. My printer is not working, it does not print documents and shows an error.
+    Please help as soon as possible, because I need to print the report by the end of the day.
+    After the update the computer boots very slowly and the internet keeps disconnecting.
+    I cannot log in to my email, the password does not work, please reset the password and grant access.
+    We need to install the software on the laptop of a new employee who starts work on Monday.
+    The monitor in the accounting office is broken, the screen flickers and sometimes goes dark.
+    Could I get access to the shared folder of the human resources department? I need it for work.
+    The phone does not connect to the network and the scanner stopped seeing the computer last night.
+    Please replace the cartridge in the printer which stands near the window on the third floor.
+    Thank you for the quick answer, the problem is solved, the ticket can be closed.
+    If you have any questions, call me, I will be at my desk until six o'clock.
+    Also please check why the files on the server do not open, this is very urgent.
+    We have already restarted the system several times but nothing changed, something has to be done.
+    I would like to know when the order will be ready and who is responsible for this matter.
+    Her computer does not turn on either, she has been waiting for the technician since the morning.
+    Could you tell me how to connect to the network from home through a secure connection.
+    What happened there again? Nothing opens at all, do something right away so that we can work.
+    Now everything is even worse than yesterday, only here and there something loads, and where the rest is I do not know.
+    Today nobody came either, why does nobody answer? Fine, I am waiting, but I really ask you to hurry.
+    No, this is not what I asked for. Yes, it has to be checked once more so that it does not happen again.`
+}
+
+const LANGUAGES = Object.keys(SAMPLES)
+const MAX_NGRAM = 3
+// Log-likelihood margin per n-gram below which a word is treated as common to several languages
+const WORD_MARGIN = 0.2
+// Shorter words ("по", "за", "я") are too common across languages to vote
+const MIN_VOTE_LENGTH = 3
+// Score margin at which a scored word votes with full weight
+const STRONG_MARGIN = 0.5
+// Confidence grows with the vote weight: 1 full vote gives half of the share, 4 votes 80%
+const EVIDENCE_PRIOR = 1
+// Letters of only one alphabet decide the word's language without scoring
+const UKRAINIAN_LETTERS = /[іїєґ]/
+const RUSSIAN_LETTERS = /[ыэъё]/
+// Everyday and service desk words of only one language, short ones included: Surzhyk mixes exactly these
+const UKRAINIAN_WORDS = new Set([
+  'шо', 'шоб', 'що', 'щоб', 'ти', 'мене', 'мені', 'тобі', 'трохи', 'дуже', 'треба', 'але', 'або', 'чи',
+  'бо', 'вже', 'ще', 'як', 'де', 'теж', 'зараз', 'тільки', 'також', 'нема', 'немає', 'коли', 'хто', 'щось',
+  'працює', 'можу', 'потрібно', 'будь', 'дякую', 'зробити', 'пошта', 'пошту', 'вмикається'
+])
+const RUSSIAN_WORDS = new Set([
+  'что', 'чтобы', 'шта', 'ты', 'меня', 'мне', 'тебя', 'очень', 'надо', 'или', 'уже', 'еще', 'как', 'где',
+  'тоже', 'сейчас', 'только', 'нет', 'да', 'но', 'когда', 'кто', 'если', 'почему', 'здесь', 'опять', 'вообще',
+  'работает', 'могу', 'нужно', 'пожалуйста', 'спасибо', 'сделать', 'почта', 'почту', 'включается'
+])
+// Words spelled the same in Ukrainian and Russian that the profiles still tell apart
+const SHARED_WORDS = new Set(['день', 'так', 'тут', 'там', 'сам', 'дома', 'вам', 'нам'])
+// To call the text Surzhyk the smaller of Ukrainian and Russian must have at least this share of the vote
+// weight and both must have a word decided by its letters or by the word lists (scored words are too noisy)
+const SURZHYK_MIN_SHARE = 0.2
+
+/**
+ * Character n-grams (1..MAX_NGRAM) of a word padded with spaces
+ * @param {string} word - lowercase word
+ * @returns {Array<string>} - n-grams
+ */
+function wordNgrams(word) {
+  const padded = ` ${word} `
+  const ngrams = []
+  for (let n = 1; n <= MAX_NGRAM; n++) {
+    for (let i = 0; i <= padded.length - n; i++) {
+      const ngram = padded.slice(i, i + n)
+      if (ngram.trim()) {
+        ngrams.push(ngram)
+      }
+    }
+  }
+  return ngrams
+}
+
+function lettersOnly(text) {
+  return tokenize(text).filter(word => /^\p{L}+$/u.test(word))
+}
+
+function buildProfiles() {
+  const profiles = {}
+  const vocabulary = new Set()
+
+  for (const language of LANGUAGES) {
+    const counts = new Map()
+    let total = 0
+    for (const word of lettersOnly(SAMPLES[language])) {
+      for (const ngram of wordNgrams(word)) {
+        counts.set(ngram, (counts.get(ngram) || 0) + 1)
+        vocabulary.add(ngram)
+        total++
+      }
+    }
+    profiles[language] = { counts, total }
+  }
+
+  return { profiles, vocabularySize: vocabulary.size }
+}
+
+const { profiles, vocabularySize } = buildProfiles()
+
+/**
+ * Mean log-likelihood per n-gram of a word under each language profile (add-one smoothing)
+ * @param {string} word - lowercase word
+ * @returns {Object} - language -> log-likelihood
+ */
+function scoreWord(word) {
+  const scores = {}
+  const ngrams = wordNgrams(word)
+  for (const language of LANGUAGES) {
+    const { counts, total } = profiles[language]
+    const sum = ngrams.reduce((result, ngram) => result + Math.log(((counts.get(ngram) || 0) + 1) / (total + vocabularySize)), 0)
+    scores[language] = sum / ngrams.length
+  }
+  return scores
+}
+
+/**
+ * Words of the dominant script only: Latin product names in Cyrillic text
+ * ("VPN", "Outlook") say nothing about the language, and the other way round
+ */
+function dominantScriptWords(words) {
+  const cyrillic = words.filter(word => /[а-яёіїєґ]/.test(word))
+  const latin = words.filter(word => !/[а-яёіїєґ]/.test(word))
+  return cyrillic.length >= latin.length ? cyrillic : latin
+}
+
+function rankLanguages(scores) {
+  return LANGUAGES.slice().sort((a, b) => scores[b] - scores[a])
+}
+
+/**
+ * Language the word votes for, null for short, shared or ambiguous words
+ * @returns {Object|null} - {language, weight, certain} with weight 0..1, certain when decided without scoring
+ */
+function voteWord(word, scores) {
+  const ukrainian = UKRAINIAN_LETTERS.test(word) || UKRAINIAN_WORDS.has(word)
+  const russian = RUSSIAN_LETTERS.test(word) || RUSSIAN_WORDS.has(word)
+  if (ukrainian !== russian) {
+    return { language: ukrainian ? 'uk' : 'ru', weight: 1, certain: true }
+  }
+  if (word.length < MIN_VOTE_LENGTH || SHARED_WORDS.has(word)) {
+    return null
+  }
+
+  const [best, second] = rankLanguages(scores)
+  const margin = scores[best] - scores[second]
+  return margin >= WORD_MARGIN ? { language: best, weight: Math.min(margin / STRONG_MARGIN, 1), certain: false } : null
+}
+
+/**
+ * Detect language of a text
+ * @param {string} text - text to analyze
+ * @returns {Object} - {language, confidence, shares} where language is 'uk', 'ru', 'en', 'surzhyk'
+ * or 'unknown' (no word votes), confidence is 0..1 and shares are vote shares of uk/ru/en.
+ * Confidence is the winner's share scaled by the amount of evidence, so one word never gives 1
+ */
+function detectLanguage(text) {
+  const words = dominantScriptWords(lettersOnly(text))
+  const shares = Object.fromEntries(LANGUAGES.map(language => [language, 0]))
+  const votes = { ...shares }
+  const certain = new Set()
+  let voteWeight = 0
+
+  for (const word of words) {
+    const vote = voteWord(word, scoreWord(word))
+    if (vote) {
+      votes[vote.language] += vote.weight
+      voteWeight += vote.weight
+      if (vote.certain) {
+        certain.add(vote.language)
+      }
+    }
+  }
+
+  // No letters or only words common to several languages ("ок", "VPN"): nothing was measured
+  if (voteWeight === 0) {
+    return { language: 'unknown', confidence: 0, shares }
+  }
+
+  for (const language of LANGUAGES) {
+    shares[language] = votes[language] / voteWeight
+  }
+  const evidence = voteWeight / (voteWeight + EVIDENCE_PRIOR)
+
+  const cyrillicShare = shares.uk + shares.ru
+  const mixed = Math.min(shares.uk, shares.ru) >= SURZHYK_MIN_SHARE && certain.has('uk') && certain.has('ru')
+  if (mixed && cyrillicShare > shares.en) {
+    return { language: 'surzhyk', confidence: cyrillicShare * evidence, shares }
+  }
+
+  const [best] = rankLanguages(shares)
+  return { language: best, confidence: shares[best] * evidence, shares }
+}
+
+module.exports = { detectLanguage }
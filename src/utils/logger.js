@@ -1,9 +1,12 @@
 const fs = require('fs')
 const path = require('path')
+const { redactText } = require('./redactor')
 
 class Logger {
   constructor() {
     this.logDir = path.join(__dirname, '../../logs')
+    // Passwords, card numbers, phones and emails are masked in every log line
+    this.redact = process.env.LOG_REDACTION !== 'false'
     this.ensureLogDir()
   }
 
@@ -19,7 +22,7 @@ class Logger {
       ? `[${timestamp}] ${level}: ${message} ${JSON.stringify(data, null, 2)}`
       : `[${timestamp}] ${level}: ${message}`
     
-    return logMessage
+    return this.redact ? redactText(logMessage) : logMessage
   }
 
   writeToFile(level, message) {
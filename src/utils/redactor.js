@@ -0,0 +1,126 @@
+/**
+ * Detection and masking of secrets and personal data in free text:
+ * passwords and PIN codes after a trigger word, payment card numbers, phone numbers and emails.
+ * Full mode replaces values with placeholders ([PASSWORD]), partial mode keeps a hint
+ * for the support engineer (last digits of a card or phone, first letter and domain of an email)
+ */
+
+const REDACTION_TYPES = ['password', 'card', 'phone', 'email']
+
+// \b does not work with Cyrillic, so word starts are checked with lookbehind
+const W = '(?<![\\p{L}\\d])'
+
+const PASSWORD_TRIGGER = '(?:парол\\p{L}*|password|passwd|pwd|пін(?:-?код)?|пин(?:-?код)?|pin(?:\\s*code)?|код\\s+доступ\\p{L}*|secret|token|токен)'
+// "пароль: x", "password is x", "пароль — x": the next word is the secret whatever it looks like
+const PASSWORD_WITH_SEPARATOR = new RegExp(`${W}(${PASSWORD_TRIGGER}(?:\\s*[:=]\\s*|\\s+[—–-]\\s+|\\s+(?:is|це|є|такий|такой|будет|буде)\\s+))([^\\s,;]+)`, 'giu')
+// "мій пароль Qwerty123": without a separator only values that look like secrets (digits, symbols, capitals inside)
+const PASSWORD_WITHOUT_SEPARATOR = new RegExp(`${W}(${PASSWORD_TRIGGER}\\s+)((?=[^\\s,;]*(?:[\\d_@#$%^&*!?~]|\\p{Ll}\\p{Lu}))[^\\s,;]{4,})`, 'gu')
+
+// 13-19 digits in groups, checked with Luhn; not part of ids like TKT-2026...
+const CARD_PATTERN = /(?<![\p{L}\d-])(?:\d[ -]?){12,18}\d(?![\d-])/gu
+// Ukrainian numbers (also used by the ticket parser to extract the callback phone)
+const PHONE_PATTERN = /(?<![\d+])((?:(?:\+?38[\s-]?)?\(?0\d{2}\)?|\+?380[\s-]?\(?\d{2}\)?)[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2})(?!\d)/
+// Other international numbers only with a leading plus, so ids and counters are not masked
+const INTERNATIONAL_PHONE_PATTERN = /(?<![\d+])\+\d[\d\s()-]{8,16}\d(?!\d)/g
+const EMAIL_PATTERN = /(?<![\w.+-])([\w.+-]+)@([\w-]+(?:\.[\w-]+)+)/g
+
+const PLACEHOLDERS = {
+  password: '[PASSWORD]',
+  card: '[CARD]',
+  phone: '[PHONE]',
+  email: '[EMAIL]'
+}
+
+function luhnValid(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+function maskDigits(value, keep) {
+  const digits = value.replace(/\D/g, '')
+  return `${'*'.repeat(Math.max(digits.length - keep, 0))}${digits.slice(-keep)}`
+}
+
+/**
+ * Mask secrets and personal data in text
+ * @param {string} text - text to redact
+ * @param {Object} options - {mode: 'full'|'partial', types: subset of REDACTION_TYPES}
+ * @returns {Object} - {text, found} where found lists detected types
+ */
+function redact(text, { mode = 'full', types = REDACTION_TYPES } = {}) {
+  if (!text || typeof text !== 'string') {
+    return { text, found: [] }
+  }
+
+  const found = new Set()
+  const partial = mode === 'partial'
+  let result = text
+
+  if (types.includes('password')) {
+    const maskPassword = (match, trigger) => {
+      found.add('password')
+      return `${trigger}${PLACEHOLDERS.password}`
+    }
+    result = result.replace(PASSWORD_WITH_SEPARATOR, maskPassword).replace(PASSWORD_WITHOUT_SEPARATOR, maskPassword)
+  }
+
+  if (types.includes('card')) {
+    result = result.replace(CARD_PATTERN, (match) => {
+      const digits = match.replace(/\D/g, '')
+      if (digits.length < 13 || !luhnValid(digits)) {
+        return match
+      }
+      found.add('card')
+      return partial ? `**** ${digits.slice(-4)}` : PLACEHOLDERS.card
+    })
+  }
+
+  if (types.includes('phone')) {
+    const maskPhone = (match) => {
+      found.add('phone')
+      return partial ? maskDigits(match, 2) : PLACEHOLDERS.phone
+    }
+    result = result.replace(new RegExp(PHONE_PATTERN.source, 'g'), maskPhone).replace(INTERNATIONAL_PHONE_PATTERN, maskPhone)
+  }
+
+  if (types.includes('email')) {
+    result = result.replace(EMAIL_PATTERN, (match, local, domain) => {
+      found.add('email')
+      return partial ? `${local[0]}***@${domain}` : PLACEHOLDERS.email
+    })
+  }
+
+  return { text: result, found: [...found] }
+}
+
+/**
+ * Fully masked text for logs and external services
+ * @param {string} text - text to redact
+ * @returns {string} - text with placeholders
+ */
+function redactText(text) {
+  return redact(text).text
+}
+
+/**
+ * Parse comma-separated list of redaction types from config
+ * @param {string} value - e.g. "password,card"
+ * @param {Array<string>} defaults - types when value is empty
+ * @returns {Array<string>} - known types
+ */
+function parseTypes(value, defaults = REDACTION_TYPES) {
+  if (!value) {
+    return defaults
+  }
+  return value.split(',').map(type => type.trim().toLowerCase()).filter(type => REDACTION_TYPES.includes(type))
+}
+
+module.exports = { redact, redactText, parseTypes, PHONE_PATTERN, REDACTION_TYPES }
@@ -0,0 +1,55 @@
+/**
+ * Text similarity helpers for duplicate ticket detection
+ */
+
+/**
+ * Split text into lowercase word tokens (Cyrillic and Latin letters, digits)
+ * @param {string} text - input text
+ * @returns {Array<string>} - tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[ʼ’`']/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || []
+}
+
+/**
+ * Character trigrams of the normalized text, tolerant to word endings
+ * @param {string} text - input text
+ * @returns {Set<string>} - trigrams
+ */
+function trigrams(text) {
+  const normalized = ` ${tokenize(text).join(' ')} `
+  const result = new Set()
+  for (let i = 0; i < normalized.length - 2; i++) {
+    result.add(normalized.slice(i, i + 3))
+  }
+  return result
+}
+
+function jaccard(setA, setB) {
+  if (setA.size === 0 || setB.size === 0) {
+    return 0
+  }
+  let intersection = 0
+  for (const item of setA) {
+    if (setB.has(item)) intersection++
+  }
+  return intersection / (setA.size + setB.size - intersection)
+}
+
+/**
+ * Similarity of two texts in range 0..1
+ * Average of word-level Jaccard (ignoring short words) and trigram Jaccard
+ * @param {string} a - first text
+ * @param {string} b - second text
+ * @returns {number} - similarity score
+ */
+function similarity(a, b) {
+  const wordsA = new Set(tokenize(a).filter(word => word.length > 2))
+  const wordsB = new Set(tokenize(b).filter(word => word.length > 2))
+  return (jaccard(wordsA, wordsB) + jaccard(trigrams(a), trigrams(b))) / 2
+}
+
+module.exports = { tokenize, similarity }